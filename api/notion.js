@@ -0,0 +1,29 @@
+// Forwards the web app's Notion API calls. Notion sends no CORS headers, so
+// the browser cannot call api.notion.com itself; vercel.json routes
+// /api/notion/<path> here with the path as a query parameter.
+const NOTION_API_URL = 'https://api.notion.com/v1';
+const FORWARDED_HEADERS = ['authorization', 'notion-version', 'content-type'];
+
+export default async function handler(req, res) {
+    const { path = '', ...query } = req.query;
+    const search = new URLSearchParams(query).toString();
+    const url = `${NOTION_API_URL}/${[].concat(path).join('/')}${search ? `?${search}` : ''}`;
+
+    // The raw body is passed on as is, so file uploads keep their multipart form.
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    const response = await fetch(url, {
+        method: req.method,
+        headers: Object.fromEntries(FORWARDED_HEADERS
+            .filter(name => req.headers[name])
+            .map(name => [name, req.headers[name]])),
+        body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks)
+    });
+
+    res.statusCode = response.status;
+    ['content-type', 'retry-after'].forEach(name => {
+        if (response.headers.has(name)) res.setHeader(name, response.headers.get(name));
+    });
+    res.end(Buffer.from(await response.arrayBuffer()));
+}
@@ -0,0 +1,83 @@
+import { createSign } from 'node:crypto';
+
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_SCOPES = [
+    'https://www.googleapis.com/auth/documents.readonly',
+    'https://www.googleapis.com/auth/drive.readonly'
+];
+
+function base64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+async function requestToken(tokenUrl, params, fetchImpl) {
+    const response = await fetchImpl(tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Google sign-in failed: ${response.status} ${errorData.error_description || errorData.error || response.statusText}`);
+    }
+
+    return response.json();
+}
+
+// Tokens are reused until shortly before they expire, so long folder runs
+// only sign in again when they have to.
+function cachedTokenProvider(fetchToken) {
+    let token = null;
+    let expiresAt = 0;
+
+    return async () => {
+        if (!token || Date.now() > expiresAt - 60000) {
+            const data = await fetchToken();
+            token = data.access_token;
+            expiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+        }
+        return token;
+    };
+}
+
+export function createServiceAccountTokenProvider(key, { tokenUrl = null, fetchImpl = fetch } = {}) {
+    if (!key.client_email || !key.private_key) {
+        throw new Error('The service account key must contain client_email and private_key');
+    }
+
+    const audience = tokenUrl || key.token_uri || GOOGLE_TOKEN_URL;
+
+    return cachedTokenProvider(() => {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const unsignedToken = [
+            base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' })),
+            base64Url(JSON.stringify({
+                iss: key.client_email,
+                scope: GOOGLE_SCOPES.join(' '),
+                aud: audience,
+                iat: issuedAt,
+                exp: issuedAt + 3600
+            }))
+        ].join('.');
+        const signature = createSign('RSA-SHA256').update(unsignedToken).sign(key.private_key, 'base64url');
+
+        return requestToken(audience, {
+            grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+            assertion: `${unsignedToken}.${signature}`
+        }, fetchImpl);
+    });
+}
+
+export function createRefreshTokenProvider({ clientId, clientSecret, refreshToken }, { tokenUrl = null, fetchImpl = fetch } = {}) {
+    if (!clientId || !clientSecret || !refreshToken) {
+        throw new Error('A client ID, client secret and refresh token are all required for OAuth sign-in');
+    }
+
+    return cachedTokenProvider(() => requestToken(tokenUrl || GOOGLE_TOKEN_URL, {
+        grant_type: 'refresh_token',
+        client_id: clientId,
+        client_secret: clientSecret,
+        refresh_token: refreshToken
+    }, fetchImpl));
+}
@@ -0,0 +1,325 @@
+import { parseArgs } from 'node:util';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import JSZip from 'jszip';
+import { DATABASE_COLUMNS, DocsConverter } from '../converter.js';
+import { GoogleApiClient, hasDocumentFilters } from '../google-api.js';
+import { createRefreshTokenProvider, createServiceAccountTokenProvider } from './google-auth.js';
+
+const USAGE = `Usage: docs2notion <source> [options]
+
+Converts Google Docs into Markdown pages for Notion's importer.
+
+<source> is a Google Doc URL or ID, a Drive folder URL (or an ID with --folder),
+or a saved Docs API response (.json).
+
+Options:
+  -o, --output <path>        .zip file or directory to write (default: notion-workspace.zip)
+      --folder               Treat <source> as a Drive folder ID
+      --depth <n>            Subfolder levels to include (default: 5)
+      --include <terms>      Only convert folder docs whose name contains one of these comma-separated terms
+      --exclude <terms>      Skip folder docs whose name contains any of these terms (e.g. "Copy of")
+      --modified-after <date> Only convert folder docs modified on or after this local date (YYYY-MM-DD)
+      --split-level <n>      Split into pages at headings up to this level, 0 for one page per tab (default: 6)
+      --suggestions <mode>   accept, reject or show suggested edits (default: accept)
+      --toc <mode>           links or drop tables of contents (default: links)
+      --split-at-page-breaks Start a new page at page breaks
+      --comments             Add open comment threads to the pages
+      --link-people          Link people chips to their email address
+      --keep-text-styling    Keep text colours, highlights and superscript/subscript
+      --front-matter <mode>  none, yaml or properties: source details on each page (default: none)
+      --no-footer            Leave out the "Converted from Google Docs" line at the end of each page
+      --previous <file>      manifest.json of an earlier folder export: only convert the docs that
+                             changed since then and add a report of the changes (changes.md)
+      --database             Write a folder as a Notion database: a CSV with one row per doc
+      --columns <list>       Comma-separated database columns after Name (default: all of
+                             ${Object.keys(DATABASE_COLUMNS).join(', ')})
+
+Google sign-in (not needed for .json sources):
+      --service-account <file>  Service account key (or GOOGLE_APPLICATION_CREDENTIALS)
+      --client-id <id>          OAuth client ID (or GOOGLE_CLIENT_ID)
+      --client-secret <secret>  OAuth client secret (or GOOGLE_CLIENT_SECRET)
+      --refresh-token <token>   OAuth refresh token (or GOOGLE_REFRESH_TOKEN)
+      --api-url <url>           Serve the Docs and Drive APIs from this URL instead of Google's
+      --token-url <url>         Token endpoint to use instead of Google's
+
+  -h, --help                 Show this help
+`;
+
+const OPTIONS = {
+    output: { type: 'string', short: 'o', default: 'notion-workspace.zip' },
+    folder: { type: 'boolean', default: false },
+    depth: { type: 'string', default: '5' },
+    include: { type: 'string', default: '' },
+    exclude: { type: 'string', default: '' },
+    'modified-after': { type: 'string' },
+    'split-level': { type: 'string', default: '6' },
+    suggestions: { type: 'string', default: 'accept' },
+    toc: { type: 'string', default: 'links' },
+    'split-at-page-breaks': { type: 'boolean', default: false },
+    comments: { type: 'boolean', default: false },
+    'link-people': { type: 'boolean', default: false },
+    'keep-text-styling': { type: 'boolean', default: false },
+    'front-matter': { type: 'string', default: 'none' },
+    'no-footer': { type: 'boolean', default: false },
+    previous: { type: 'string' },
+    database: { type: 'boolean', default: false },
+    columns: { type: 'string', default: Object.keys(DATABASE_COLUMNS).join(',') },
+    'service-account': { type: 'string' },
+    'client-id': { type: 'string' },
+    'client-secret': { type: 'string' },
+    'refresh-token': { type: 'string' },
+    'api-url': { type: 'string' },
+    'token-url': { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function parseInteger(value, name) {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number) || number < 0) {
+        throw new Error(`--${name} must be a number of 0 or more`);
+    }
+    return number;
+}
+
+function parseChoice(value, name, choices) {
+    if (!choices.includes(value)) {
+        throw new Error(`--${name} must be one of: ${choices.join(', ')}`);
+    }
+    return value;
+}
+
+function parseColumns(value) {
+    const columns = value.split(',').map(column => column.trim()).filter(Boolean);
+    columns.forEach(column => parseChoice(column, 'columns', Object.keys(DATABASE_COLUMNS)));
+    return columns;
+}
+
+function parseTerms(value) {
+    return value.split(',').map(term => term.trim()).filter(Boolean);
+}
+
+function parseDate(value, name) {
+    if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new Error(`--${name} must be a date like 2024-01-31`);
+    }
+    return value || null;
+}
+
+function getSource(input, { folder }) {
+    if (/\.json$/i.test(input)) return { type: 'json', path: input };
+
+    const folderMatch = input.match(/\/folders\/([a-zA-Z0-9-_]+)/);
+    if (folderMatch || folder) return { type: 'folder', id: folderMatch ? folderMatch[1] : input };
+
+    const docMatch = input.match(/\/document\/d\/([a-zA-Z0-9-_]+)/);
+    if (docMatch || /^[a-zA-Z0-9-_]+$/.test(input)) return { type: 'doc', id: docMatch ? docMatch[1] : input };
+
+    throw new Error(`Not a Google Doc, Drive folder or .json file: ${input}`);
+}
+
+async function createGoogleClient(values, env, fetchImpl) {
+    const tokenOptions = { tokenUrl: values['token-url'], fetchImpl };
+    const keyFile = values['service-account'] || env.GOOGLE_APPLICATION_CREDENTIALS;
+    const refreshToken = values['refresh-token'] || env.GOOGLE_REFRESH_TOKEN;
+
+    let getAccessToken;
+    if (keyFile) {
+        const key = JSON.parse(await readFile(keyFile, 'utf8'));
+        getAccessToken = createServiceAccountTokenProvider(key, tokenOptions);
+    } else if (refreshToken) {
+        getAccessToken = createRefreshTokenProvider({
+            clientId: values['client-id'] || env.GOOGLE_CLIENT_ID,
+            clientSecret: values['client-secret'] || env.GOOGLE_CLIENT_SECRET,
+            refreshToken
+        }, tokenOptions);
+    } else {
+        throw new Error('Google sign-in is required: pass --service-account or --refresh-token with --client-id and --client-secret');
+    }
+
+    return new GoogleApiClient({ getAccessToken, apiUrl: values['api-url'], fetchImpl });
+}
+
+async function convertDocument(converter, client, docId, options, { docName = null, folderPath = null } = {}) {
+    const doc = await client.getDocument(docId, options);
+    const sections = converter.extractSectionsFromGoogleDoc(doc, options);
+
+    if (options.includeComments) {
+        converter.attachComments(sections, await client.listComments(docId));
+    }
+
+    const sourceDocument = docName || doc.title || `Document ${docId}`;
+    if (sections.length === 0) {
+        sections.push({
+            title: sourceDocument,
+            content: 'This document appears to be empty or contains no recognizable content.',
+            level: 1,
+            parentTab: 'Document',
+            documentId: docId
+        });
+    }
+
+    sections.forEach(section => {
+        section.sourceDocument = sourceDocument;
+        if (folderPath) section.folderPath = folderPath;
+    });
+
+    return sections;
+}
+
+async function writeWorkspace(files, output) {
+    const contents = await Promise.all(files.map(async file =>
+        typeof file.content === 'string' ? file.content : new Uint8Array(await file.content.arrayBuffer())));
+
+    if (/\.zip$/i.test(output)) {
+        const zip = new JSZip();
+        files.forEach((file, index) => zip.file(file.name, contents[index]));
+        await mkdir(dirname(output), { recursive: true });
+        await writeFile(output, await zip.generateAsync({
+            type: 'nodebuffer',
+            compression: 'DEFLATE',
+            compressionOptions: { level: 6 }
+        }));
+        return;
+    }
+
+    for (let i = 0; i < files.length; i++) {
+        const path = join(output, files[i].name);
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, contents[i]);
+    }
+}
+
+export async function run(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, fetchImpl = fetch } = {}) {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (values.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        stderr.write(USAGE);
+        return 2;
+    }
+
+    try {
+        const options = {
+            splitLevel: parseInteger(values['split-level'], 'split-level'),
+            suggestionsMode: parseChoice(values.suggestions, 'suggestions', ['accept', 'reject', 'show']),
+            tocMode: parseChoice(values.toc, 'toc', ['links', 'drop']),
+            splitAtPageBreaks: values['split-at-page-breaks'],
+            includeComments: values.comments,
+            linkPeople: values['link-people'],
+            keepTextStyling: values['keep-text-styling']
+        };
+        const source = getSource(positionals[0], values);
+        if ((values.database || values.previous) && source.type !== 'folder') {
+            throw new Error(`--${values.database ? 'database' : 'previous'} only works with a Drive folder`);
+        }
+        const columns = parseColumns(values.columns);
+        const frontMatter = parseChoice(values['front-matter'], 'front-matter', ['none', 'yaml', 'properties']);
+        const converter = new DocsConverter();
+        const sections = [];
+        let documents = null;
+        let database = null;
+        let resync = null;
+
+        if (source.type === 'json') {
+            const doc = JSON.parse(await readFile(source.path, 'utf8'));
+            sections.push(...converter.extractSectionsFromGoogleDoc(doc, options));
+        } else {
+            const client = await createGoogleClient(values, env, fetchImpl);
+
+            if (source.type === 'doc') {
+                sections.push(...await convertDocument(converter, client, source.id, options));
+            } else {
+                const maxDepth = parseInteger(values.depth, 'depth');
+                const filters = {
+                    include: parseTerms(values.include),
+                    exclude: parseTerms(values.exclude),
+                    modifiedAfter: parseDate(values['modified-after'], 'modified-after')
+                };
+                const docs = await client.listDocsInFolder(source.id, { maxDepth, filters });
+                if (docs.length === 0) {
+                    throw new Error('No Google Docs found in the specified folder');
+                }
+                documents = docs;
+                let listedDocs = docs;
+                if (values.previous) {
+                    const previousManifest = converter.parseManifest(await readFile(values.previous, 'utf8'));
+                    // Docs left out by the filters are still in the folder and must not count as removed.
+                    if (hasDocumentFilters(filters)) listedDocs = await client.listDocsInFolder(source.id, { maxDepth });
+                    resync = converter.planResync(docs, previousManifest, listedDocs);
+                }
+                if (values.database) {
+                    const folder = await client.getFile(source.id, 'name').catch(() => ({}));
+                    database = { name: folder.name || 'Documents', documents: listedDocs, columns };
+                }
+
+                const docsToConvert = resync ? [...resync.added, ...resync.changed] : docs;
+                for (const [index, doc] of docsToConvert.entries()) {
+                    stderr.write(`Converting "${doc.name}" (${index + 1}/${docsToConvert.length})\n`);
+                    try {
+                        const docSections = await convertDocument(converter, client, doc.id, options, {
+                            docName: doc.name,
+                            folderPath: doc.folderPath
+                        });
+                        if (resync && resync.changed.includes(doc) && converter.isUnchangedRevision(resync, doc, docSections)) {
+                            stderr.write('  Unchanged since the previous export\n');
+                            continue;
+                        }
+                        sections.push(...docSections);
+                    } catch (error) {
+                        stderr.write(`  Skipped: ${error.message}\n`);
+                        sections.push({
+                            title: `Error - ${doc.name}`,
+                            content: `Failed to process this document: ${error.message}`,
+                            level: 1,
+                            parentTab: 'Error',
+                            documentId: doc.id,
+                            sourceDocument: doc.name,
+                            folderPath: doc.folderPath
+                        });
+                    }
+                }
+            }
+        }
+
+        if (sections.length === 0 && !resync) {
+            throw new Error('No content sections found in the document');
+        }
+
+        const pages = converter.createNotionPagesFromSections(sections);
+        const assets = await converter.downloadImageAssets(pages);
+        const files = converter.buildWorkspaceFiles(pages, assets, {
+            fromFolder: source.type === 'folder',
+            database,
+            documents,
+            resync,
+            frontMatter,
+            footer: !values['no-footer']
+        });
+        const output = resolve(values.output);
+        await writeWorkspace(files, output);
+
+        const failedImages = Object.values(assets).filter(asset => asset.error).length;
+        stdout.write(`Wrote ${pages.length} page(s) to ${output}\n`);
+        if (resync) {
+            stdout.write(`${resync.added.length} added, ${resync.changed.length} changed, ${resync.removed.length} removed and ${resync.unchanged.length} unchanged document(s); see changes.md\n`);
+        }
+        if (failedImages > 0) {
+            stderr.write(`${failedImages} image(s) could not be exported; see assets/unavailable-images.md\n`);
+        }
+        return 0;
+    } catch (error) {
+        stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    }
+}
@@ -0,0 +1,1752 @@
+// The conversion pipeline shared by the web app and the command line: Docs API
+// JSON in, Markdown pages and import bundle files out. Nothing in here touches
+// the DOM or the Google client libraries.
+
+const ORDERED_GLYPH_TYPES = ['DECIMAL', 'ZERO_DECIMAL', 'ALPHA', 'UPPER_ALPHA', 'ROMAN', 'UPPER_ROMAN'];
+const CHECKBOX_GLYPH_SYMBOLS = ['☐', '☑', '☒', '❏'];
+// Reference hues for Notion's colours; gray and brown are picked by saturation
+// and lightness instead.
+const NOTION_COLOR_HUES = {
+    red: 0,
+    orange: 30,
+    yellow: 55,
+    green: 120,
+    blue: 210,
+    purple: 275,
+    pink: 325
+};
+
+// Names and paths are measured in UTF-8 bytes: every name stays well below
+// the 255 byte limit most file systems and unzip tools share, and so does
+// the whole path of a page.
+const MAX_SLUG_BYTES = 60;
+const MAX_PATH_BYTES = 200;
+
+const utf8Encoder = new TextEncoder();
+
+function byteLength(text) {
+    return utf8Encoder.encode(text).length;
+}
+
+function truncateToBytes(text, maxBytes) {
+    let bytes = 0;
+    let end = 0;
+    for (const char of text) {
+        bytes += byteLength(char);
+        if (bytes > maxBytes) break;
+        end += char.length;
+    }
+    return text.slice(0, end);
+}
+
+function formatDriveTime(time) {
+    return time ? time.replace('T', ' ').slice(0, 16) : '';
+}
+
+function formatDriveUser(user) {
+    return user ? user.displayName || user.emailAddress || '' : '';
+}
+
+// Columns of the database export, keyed by the names the UI and the command
+// line use. The Name column always comes first as Notion's title property.
+export const DATABASE_COLUMNS = {
+    created: { header: 'Created', value: doc => formatDriveTime(doc.createdTime) },
+    modified: { header: 'Last Edited', value: doc => formatDriveTime(doc.modifiedTime) },
+    owner: { header: 'Owner', value: doc => (doc.owners || []).map(formatDriveUser).join(', ') },
+    'modified-by': { header: 'Last Edited By', value: doc => formatDriveUser(doc.lastModifyingUser) },
+    folder: { header: 'Folder', value: doc => (doc.folderPath || []).join(' / ') },
+    link: { header: 'Google Doc', value: doc => doc.webViewLink || '' },
+    description: { header: 'Description', value: doc => doc.description || '' }
+};
+
+export class DocsConverter {
+    // The Drive API only exposes an opaque anchor for Docs comments, so a thread
+    // is matched to the page containing the text it quotes.
+    attachComments(sections, comments) {
+        if (sections.length === 0) return;
+
+        // Only open threads are kept; resolved discussions rarely matter after the move.
+        for (const comment of comments.filter(comment => !comment.resolved && !comment.deleted)) {
+            const quote = this.getPlainText(comment.quotedFileContent?.value || '').split('\n')[0].trim();
+            const target = (quote && sections.find(section => this.getPlainText(section.content).includes(quote)))
+                || sections[0];
+
+            target.comments = [...(target.comments || []), comment];
+        }
+    }
+
+    getPlainText(markdown) {
+        return markdown
+            .replace(/!?\[([^\]]*)\]\([^)\s]*\)/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/[*_~`]/g, '')
+            .replace(/\\([|\\])/g, '$1')
+            .replace(/[ \t]+/g, ' ');
+    }
+
+    formatCommentThread(comment) {
+        const formatEntry = (entry) =>
+            `**${entry.author?.displayName || 'Unknown'}** · ${(entry.createdTime || '').slice(0, 10)}: ${(entry.content || '').trim()}`;
+
+        const lines = [`💬 ${formatEntry(comment)}`];
+        if (comment.quotedFileContent?.value) {
+            lines.push(`On: “${comment.quotedFileContent.value.trim().replace(/\s+/g, ' ')}”`);
+        }
+        for (const reply of comment.replies || []) {
+            if (!reply.deleted && reply.content) lines.push(`↳ ${formatEntry(reply)}`);
+        }
+
+        return lines
+            .flatMap(line => line.split('\n'))
+            .map(line => `> ${line}`)
+            .join('\n');
+    }
+
+    extractSectionsFromGoogleDoc(doc, options = {}) {
+        const sections = [];
+
+        if (doc.tabs && doc.tabs.length > 0) {
+            let tabIndex = 0;
+            // A document with a single tab keeps its pages at the top level.
+            const nestTabPages = doc.tabs.length > 1 || (doc.tabs[0].childTabs || []).length > 0;
+
+            const walkTabs = (tabs, parentTabs) => {
+                for (const tab of tabs) {
+                    const tabSections = this.extractSectionsFromTab(tab, tabIndex, doc.title, doc.documentId, parentTabs, { ...options, nestTabPages });
+                    const tabPath = tabSections[0]?.tabPath || [...parentTabs, this.getTabName(tab, tabIndex, doc.title)];
+                    sections.push(...tabSections);
+                    tabIndex++;
+
+                    if (tab.childTabs && tab.childTabs.length > 0) {
+                        walkTabs(tab.childTabs, tabPath);
+                    }
+                }
+            };
+
+            walkTabs(doc.tabs, []);
+        } else if (doc.body) {
+            const context = this.createConversionContext(doc, doc.documentId, options);
+            const bodySections = this.extractSectionsFromBody(doc.body, doc.title || 'Document', context);
+            sections.push(...bodySections);
+        }
+
+        // Readers that are not backed by a Google Doc (.docx files) set
+        // sourceUrl to null; otherwise the link is built from the document ID.
+        // Readers with view access get no revisionId, but still a link.
+        const sourceUrl = 'sourceUrl' in doc
+            ? doc.sourceUrl
+            : (doc.documentId ? `https://docs.google.com/document/d/${doc.documentId}/edit` : null);
+        sections.forEach(section => {
+            delete section.pageTitle;
+            section.documentTitle = doc.title || null;
+            section.revisionId = doc.revisionId || null;
+            section.sourceUrl = sourceUrl;
+        });
+
+        return sections;
+    }
+
+    getTabName(tab, tabIndex, documentTitle = null) {
+        const tabTitle = tab.tabProperties?.title || `Tab ${tabIndex + 1}`;
+        return (tabTitle === 'Tab 1' && documentTitle) ? documentTitle : tabTitle;
+    }
+
+    extractSectionsFromTab(tab, tabIndex, documentTitle = null, documentId = null, parentTabs = [], options = {}) {
+        let body = null;
+        let source = null;
+        if (tab.documentTab && tab.documentTab.body) {
+            body = tab.documentTab.body;
+            source = tab.documentTab;
+        } else if (tab.body) {
+            body = tab.body;
+            source = tab;
+        } else {
+            return [];
+        }
+
+        const effectiveTabName = this.getTabName(tab, tabIndex, documentTitle);
+        const context = this.createConversionContext(source, documentId, options);
+        const sections = this.extractSectionsFromBody(body, effectiveTabName, context);
+
+        // The page with the text before the first heading stands for the tab.
+        const tabPage = sections.find(section => section.title === effectiveTabName && section.parentPath.length === 0);
+        if (tabPage && sections.length === 1 && effectiveTabName.startsWith('Tab ')) {
+            tabPage.title = effectiveTabName.replace('Tab ', 'Document ');
+        }
+        const tabName = tabPage?.title || effectiveTabName;
+
+        // Tabs keep their other pages in the tab page's directory, which sits
+        // in the directory of the parent tab's page.
+        const nest = options.nestTabPages ?? parentTabs.length > 0;
+        sections.forEach(section => {
+            const ownPage = section === tabPage || (tabPage && section.pageTitle === effectiveTabName);
+            section.tabId = tab.tabProperties?.tabId;
+            section.tabPath = [...parentTabs, tabName];
+            section.parentPath = [...parentTabs, ...(nest && !ownPage ? [tabName] : []), ...section.parentPath];
+        });
+
+        return sections;
+    }
+
+    // Per-tab lookup tables that paragraph elements only reference by ID.
+    createConversionContext(source = {}, documentId = null, options = {}) {
+        return {
+            documentId: documentId || 'document',
+            splitLevel: options.splitLevel ?? 6,
+            suggestionsMode: options.suggestionsMode || 'accept',
+            tocMode: options.tocMode || 'links',
+            splitAtPageBreaks: Boolean(options.splitAtPageBreaks),
+            linkPeople: Boolean(options.linkPeople),
+            keepTextStyling: Boolean(options.keepTextStyling),
+            inlineObjects: source.inlineObjects || {},
+            positionedObjects: source.positionedObjects || {},
+            lists: source.lists || {},
+            listCounters: {},
+            footnotes: source.footnotes || {},
+            images: []
+        };
+    }
+
+    extractSectionsFromBody(body, parentName, context = this.createConversionContext()) {
+        const sections = [];
+        let currentSection = null;
+        let allContent = '';
+        const headingStack = [];
+        let codeLines = [];
+        let pageNumber = 1;
+        let pendingPageBreak = false;
+
+        if (!body || !body.content) {
+            return sections;
+        }
+
+        const appendToSection = (text) => {
+            // Content after a page break starts a new page next to the one it interrupted.
+            if (pendingPageBreak && currentSection?.content.trim()) {
+                const pageSection = {
+                    ...currentSection,
+                    title: `${currentSection.pageTitle || currentSection.title} (page ${pageNumber})`,
+                    pageTitle: currentSection.pageTitle || currentSection.title,
+                    content: '',
+                    headingId: undefined,
+                    anchorIds: []
+                };
+                sections.push(currentSection);
+                currentSection = pageSection;
+            }
+            pendingPageBreak = false;
+
+            if (!currentSection) {
+                currentSection = {
+                    title: parentName,
+                    content: '',
+                    level: 1,
+                    parentTab: parentName,
+                    parentPath: [],
+                    anchorIds: []
+                };
+            }
+
+            currentSection.content += text;
+        };
+
+        // Consecutive monospace paragraphs are collected into one fenced code block.
+        const flushCodeBlock = () => {
+            if (codeLines.length === 0) return;
+
+            const code = codeLines.join('\n').replace(/\n+$/, '');
+            const codeBlock = `\`\`\`${this.guessCodeLanguage(code)}\n${code}\n\`\`\`\n\n`;
+            allContent += codeBlock;
+            appendToSection(codeBlock);
+            codeLines = [];
+        };
+
+        const breakPage = () => {
+            if (!context.splitAtPageBreaks) return;
+            flushCodeBlock();
+            pageNumber++;
+            pendingPageBreak = true;
+        };
+
+        for (const element of body.content) {
+            if (element.paragraph) {
+                const paragraph = element.paragraph;
+                const hasPageBreak = (paragraph.elements || []).some(paragraphElement => paragraphElement.pageBreak);
+
+                if (this.isCodeParagraph(paragraph, context)) {
+                    codeLines.push(this.extractTextFromParagraph(paragraph, context).replace(/\n$/, '').replace(/\u000b/g, '\n'));
+                    continue;
+                }
+
+                if (codeLines.length > 0 && !hasPageBreak && !this.extractTextFromParagraph(paragraph, context).trim()
+                    && (paragraph.elements || []).every(paragraphElement => paragraphElement.textRun)) {
+                    codeLines.push('');
+                    continue;
+                }
+
+                flushCodeBlock();
+
+                const formattedText = this.extractFormattedTextFromParagraph(paragraph, context);
+                
+                if (!formattedText.trim()) {
+                    currentSection?.anchorIds.push(...(paragraph.bookmarkIds || []));
+                    if (hasPageBreak) breakPage();
+                    continue;
+                }
+
+                allContent += formattedText + '\n';
+                const headingLevel = this.getHeadingLevel(paragraph);
+                
+                if (headingLevel > 0 && headingLevel <= context.splitLevel) {
+                    if (currentSection) {
+                        sections.push(currentSection);
+                    }
+
+                    while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= headingLevel) {
+                        headingStack.pop();
+                    }
+                    
+                    currentSection = {
+                        title: formattedText.trim(),
+                        content: '',
+                        level: headingLevel,
+                        parentTab: parentName,
+                        parentPath: headingStack.map(section => section.title),
+                        headingId: paragraph.paragraphStyle?.headingId,
+                        anchorIds: []
+                    };
+                    headingStack.push(currentSection);
+                    pendingPageBreak = false;
+                } else {
+                    // Headings below the split level stay inline in their page.
+                    const text = headingLevel > 0
+                        ? `${'#'.repeat(headingLevel)} ${formattedText.trim()}`
+                        : formattedText;
+
+                    appendToSection(text + '\n');
+                    if (paragraph.paragraphStyle?.headingId) {
+                        currentSection.anchorIds.push(paragraph.paragraphStyle.headingId);
+                    }
+                }
+                // The Docs API does not report where bookmarks are; the .docx and
+                // published HTML readers list them on the paragraph they mark.
+                currentSection.anchorIds.push(...(paragraph.bookmarkIds || []));
+
+                if (hasPageBreak) breakPage();
+            } else if (element.table) {
+                flushCodeBlock();
+
+                const tableMarkdown = this.extractTableFromElement(element.table, context);
+                allContent += tableMarkdown + '\n\n';
+                appendToSection(tableMarkdown + '\n\n');
+            } else if (element.tableOfContents) {
+                flushCodeBlock();
+
+                const tocMarkdown = context.tocMode === 'links'
+                    ? this.extractTableOfContents(element.tableOfContents, context)
+                    : '';
+                if (tocMarkdown) {
+                    allContent += tocMarkdown + '\n\n';
+                    appendToSection(tocMarkdown + '\n\n');
+                }
+            } else if (element.sectionBreak?.sectionStyle?.sectionType === 'NEXT_PAGE') {
+                breakPage();
+            }
+        }
+
+        flushCodeBlock();
+
+        if (currentSection) {
+            sections.push(currentSection);
+        }
+
+        const allAnchorIds = sections.flatMap(section => [section.headingId, ...section.anchorIds]).filter(Boolean);
+
+        if (sections.length === 0 && allContent.trim()) {
+            sections.push({
+                title: parentName,
+                content: allContent.trim(),
+                level: 1,
+                parentTab: parentName,
+                parentPath: [],
+                anchorIds: allAnchorIds
+            });
+        }
+
+        const footnotes = this.collectFootnotes(body, context);
+
+        sections.forEach(section => {
+            section.documentId = context.documentId;
+            // Footnotes are listed on the page that references them, in reference order.
+            section.footnotes = Array.from(section.content.matchAll(/\[\^([^\]\s]+)\]/g), match => match[1])
+                .filter((number, index, numbers) => numbers.indexOf(number) === index && footnotes.has(number))
+                .map(number => ({ number, text: footnotes.get(number) }));
+            section.images = context.images.filter(image =>
+                section.content.includes(`asset://${image.key}`) || section.title.includes(`asset://${image.key}`)
+                || section.footnotes.some(footnote => footnote.text.includes(`asset://${image.key}`)));
+        });
+        
+        return sections;
+    }
+
+    // TOC entries link to headings, which resolve to the generated pages once
+    // the files are written. Entries are nested by their indentation.
+    extractTableOfContents(tableOfContents, context) {
+        const entries = (tableOfContents.content || [])
+            .filter(element => element.paragraph)
+            .map(element => ({
+                indent: element.paragraph.paragraphStyle?.indentStart?.magnitude || 0,
+                text: this.extractFormattedTextFromParagraph(element.paragraph, context).trim()
+            }))
+            .filter(entry => entry.text);
+        const indents = [...new Set(entries.map(entry => entry.indent))].sort((a, b) => a - b);
+
+        return entries
+            .map(entry => `${'  '.repeat(indents.indexOf(entry.indent))}- ${entry.text}`)
+            .join('\n');
+    }
+
+    // Maps each footnote number referenced in the body to its formatted text.
+    collectFootnotes(body, context) {
+        const footnotes = new Map();
+        const collect = (elements) => {
+            for (const element of elements || []) {
+                for (const paragraphElement of element.paragraph?.elements || []) {
+                    const reference = paragraphElement.footnoteReference;
+                    if (!reference) continue;
+
+                    const text = (context.footnotes[reference.footnoteId]?.content || [])
+                        .filter(footnoteElement => footnoteElement.paragraph)
+                        .map(footnoteElement => this.extractFormattedTextFromParagraph(footnoteElement.paragraph, context).trim())
+                        .filter(Boolean)
+                        .join(' ');
+                    footnotes.set(reference.footnoteNumber || reference.footnoteId, text);
+                }
+                for (const row of element.table?.tableRows || []) {
+                    for (const cell of row.tableCells || []) collect(cell.content);
+                }
+            }
+        };
+        collect(body.content);
+
+        return footnotes;
+    }
+
+    extractFormattedTextFromParagraph(paragraph, context = this.createConversionContext()) {
+        let formattedText = '';
+        
+        const bullet = this.getBulletInfo(paragraph, context);
+        // Docs marks checked items by striking them through; the checkbox already says so.
+        const checked = bullet.endsWith('[x] ');
+        if (bullet) {
+            formattedText += bullet;
+        }
+        
+        // Adjacent runs that render the same are merged, so a word split across
+        // runs (by spell check or a font size change) gets one set of markers.
+        let pendingRun = null;
+        const flushRun = () => {
+            if (pendingRun) {
+                formattedText += this.applyTextFormatting(pendingRun.text, pendingRun.textStyle, context);
+                pendingRun = null;
+            }
+        };
+
+        if (paragraph.elements) {
+            for (const element of paragraph.elements) {
+                if (element.textRun && element.textRun.content) {
+                    if (this.isHiddenSuggestion(element.textRun, context)) continue;
+
+                    let textStyle = element.textRun.textStyle || {};
+                    if (checked) {
+                        textStyle = { ...textStyle, strikethrough: false };
+                    }
+                    if (context.suggestionsMode === 'show') {
+                        textStyle = this.getSuggestionTextStyle(element.textRun, textStyle);
+                    }
+
+                    const formattingKey = this.getFormattingKey(textStyle, context);
+                    if (pendingRun && pendingRun.formattingKey === formattingKey) {
+                        pendingRun.text += element.textRun.content;
+                    } else {
+                        flushRun();
+                        pendingRun = { text: element.textRun.content, textStyle, formattingKey };
+                    }
+                    continue;
+                }
+
+                flushRun();
+
+                if (element.inlineObjectElement) {
+                    const objectId = element.inlineObjectElement.inlineObjectId;
+                    const inlineObject = context.inlineObjects[objectId];
+                    formattedText += this.createImageReference(objectId, inlineObject?.inlineObjectProperties?.embeddedObject, context);
+                } else if (this.getSmartChip(element)) {
+                    formattedText += this.extractSmartChipText(element, context);
+                } else if (element.horizontalRule) {
+                    formattedText += '\n\n---\n\n';
+                } else if (element.equation) {
+                    formattedText += element.equation.latex
+                        ? `$$${element.equation.latex}$$`
+                        : '*[Equation not available]*';
+                } else if (element.footnoteReference) {
+                    formattedText += `[^${element.footnoteReference.footnoteNumber || element.footnoteReference.footnoteId}]`;
+                }
+            }
+        }
+
+        flushRun();
+
+        if (paragraph.positionedObjectIds) {
+            for (const objectId of paragraph.positionedObjectIds) {
+                const positionedObject = context.positionedObjects[objectId];
+                const imageReference = this.createImageReference(objectId, positionedObject?.positionedObjectProperties?.embeddedObject, context);
+                if (imageReference) {
+                    formattedText = `${formattedText.replace(/\n$/, '')}\n${imageReference}\n`;
+                }
+            }
+        }
+        
+        return formattedText;
+    }
+
+    // Images are referenced through an asset:// placeholder until the files are
+    // written, because the relative path depends on where each page ends up.
+    createImageReference(objectId, embeddedObject, context) {
+        if (!embeddedObject) return '';
+
+        const key = `${context.documentId}-${objectId}`.replace(/[^a-zA-Z0-9-]/g, '-');
+        const alt = (embeddedObject.description || embeddedObject.title || '')
+            .replace(/[\[\]\n]/g, ' ')
+            .trim();
+
+        context.images.push({
+            key,
+            alt,
+            contentUri: embeddedObject.imageProperties?.contentUri || null,
+            kind: embeddedObject.embeddedDrawingProperties ? 'drawing' : 'image'
+        });
+
+        return `![${alt}](asset://${key})`;
+    }
+
+    isMonospaceFont(fontFamily) {
+        return /mono|courier|consolas|menlo|monaco|inconsolata|lucida console|source code|fira code|cousine/i.test(fontFamily || '');
+    }
+
+    // Smart chips carry no textRun, so each kind is rendered as the text the
+    // chip displays in Docs.
+    // Dropdown chips have no element of their own in the Docs API reference,
+    // so any other element whose properties carry a displayText is taken as a
+    // chip showing that text.
+    getSmartChip(element) {
+        return element.person || element.richLink || element.dateElement || Object.values(element).find(value =>
+            value && typeof value === 'object' && this.getChipProperties(value)?.displayText) || null;
+    }
+
+    getChipProperties(chip) {
+        return Object.entries(chip).find(([key]) => key.endsWith('Properties'))?.[1] || null;
+    }
+
+    extractSmartChipText(element, context) {
+        const chip = this.getSmartChip(element);
+        if (this.isHiddenSuggestion(chip, context)) return '';
+
+        let text = '';
+        let textStyle = {};
+
+        if (element.person) {
+            const { name, email } = element.person.personProperties || {};
+            text = name || email || '';
+            textStyle = { ...element.person.textStyle };
+            if (context.linkPeople && email) textStyle.link = { url: `mailto:${email}` };
+        } else if (element.richLink) {
+            const { title, uri } = element.richLink.richLinkProperties || {};
+            text = title || uri || '';
+            textStyle = { ...element.richLink.textStyle, ...(uri ? { link: { url: uri } } : {}) };
+        } else if (element.dateElement) {
+            text = this.formatDateChip(element.dateElement.dateElementProperties || {});
+            textStyle = { ...element.dateElement.textStyle };
+        } else {
+            text = this.getChipProperties(chip).displayText;
+            textStyle = { ...chip.textStyle };
+        }
+
+        if (!text) return '';
+        if (context.suggestionsMode === 'show') {
+            textStyle = this.getSuggestionTextStyle(chip, textStyle);
+        }
+        return this.applyTextFormatting(text, textStyle, context);
+    }
+
+    // The timestamp is in UTC; the chip shows it on the calendar day of its
+    // own time zone, with the time only when the chip has a time format.
+    formatDateChip({ timestamp, timeZoneId, timeFormat, displayText }) {
+        if (!timestamp) return displayText || '';
+
+        const showTime = Boolean(timeFormat) && !['TIME_FORMAT_UNSPECIFIED', 'TIME_FORMAT_DISABLED'].includes(timeFormat);
+        try {
+            const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZoneId || 'UTC',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+            const date = `${parts.year}-${parts.month}-${parts.day}`;
+            return showTime ? `${date} ${parts.hour}:${parts.minute}` : date;
+        } catch (error) {
+            return displayText || timestamp.slice(0, 10);
+        }
+    }
+
+    // Suggestions are usually resolved by the API already through
+    // suggestionsViewMode; this also covers sources that tag them, like .docx
+    // tracked changes.
+    isHiddenSuggestion(textRun, context) {
+        if (context.suggestionsMode === 'accept') return Boolean(textRun.suggestedDeletionIds?.length);
+        if (context.suggestionsMode === 'reject') return Boolean(textRun.suggestedInsertionIds?.length);
+        return false;
+    }
+
+    getSuggestionTextStyle(textRun, textStyle) {
+        if (textRun.suggestedInsertionIds?.length) return { ...textStyle, underline: true };
+        if (textRun.suggestedDeletionIds?.length) return { ...textStyle, strikethrough: true };
+        return textStyle;
+    }
+
+    isCodeParagraph(paragraph, context = this.createConversionContext()) {
+        if (paragraph.bullet || this.getHeadingLevel(paragraph) > 0) return false;
+
+        const runs = (paragraph.elements || [])
+            .filter(element => element.textRun && element.textRun.content.trim() && !this.isHiddenSuggestion(element.textRun, context));
+
+        return runs.length > 0 && runs.every(element =>
+            this.isMonospaceFont(element.textRun.textStyle?.weightedFontFamily?.fontFamily));
+    }
+
+    extractTextFromParagraph(paragraph, context = this.createConversionContext()) {
+        return (paragraph.elements || [])
+            .filter(element => element.textRun && !this.isHiddenSuggestion(element.textRun, context))
+            .map(element => element.textRun.content || '')
+            .join('');
+    }
+
+    guessCodeLanguage(code) {
+        if (/^\s*[{[][\s\S]*"[\w-]+"\s*:/.test(code)) return 'json';
+        if (/^\s*(def |class \w+[:(]|import \w+$|from \w+ import)/m.test(code)) return 'python';
+        if (/^\s*(SELECT|INSERT INTO|UPDATE|DELETE FROM|CREATE TABLE)\b/im.test(code)) return 'sql';
+        if (/^\s*(package main|func \w+\()/m.test(code)) return 'go';
+        if (/\bpublic (static )?(class|void|interface)\b/.test(code)) return 'java';
+        if (/^\s*#include\s*</m.test(code)) return 'c';
+        if (/\b(const|let|var|function)\s+\w+|=>|console\.log|require\(/.test(code)) return 'javascript';
+        if (/^\s*(\$ |npm |yarn |git |cd |sudo |curl |export \w+=)/m.test(code)) return 'bash';
+        if (/^\s*<(!DOCTYPE|html|div|[a-z]+[\s>])/i.test(code)) return 'html';
+        return '';
+    }
+
+    getListGlyph(context, listId, nestingLevel) {
+        return context.lists[listId]?.listProperties?.nestingLevels?.[nestingLevel] || {};
+    }
+
+    isOrderedGlyph(glyph) {
+        return ORDERED_GLYPH_TYPES.includes(glyph.glyphType);
+    }
+
+    // Checklists come back without a glyph symbol or type, unlike every other
+    // bullet preset.
+    isCheckboxGlyph(glyph) {
+        return CHECKBOX_GLYPH_SYMBOLS.includes(glyph.glyphSymbol)
+            || (glyph.glyphType === 'GLYPH_TYPE_UNSPECIFIED' && !glyph.glyphSymbol);
+    }
+
+    isCheckedListItem(paragraph) {
+        const runs = (paragraph.elements || [])
+            .filter(element => element.textRun && element.textRun.content.trim());
+        return runs.length > 0 && runs.every(element => element.textRun.textStyle?.strikethrough);
+    }
+
+    // Numbering runs per list, so a list interrupted by other paragraphs keeps
+    // counting where it left off. Nested items are indented by the width of
+    // their parent's marker, which is what Markdown needs to keep them nested.
+    // Lettered and roman lists get decimal markers, as Markdown has no others.
+    getBulletInfo(paragraph, context = this.createConversionContext()) {
+        if (!paragraph.bullet) return '';
+
+        const { listId } = paragraph.bullet;
+        const nestingLevel = paragraph.bullet.nestingLevel || 0;
+        const glyph = this.getListGlyph(context, listId, nestingLevel);
+
+        if (!context.listCounters[listId]) {
+            context.listCounters[listId] = { counts: [], indents: [] };
+        }
+        const { counts, indents } = context.listCounters[listId];
+        counts.length = nestingLevel + 1;
+        indents.length = nestingLevel + 1;
+
+        let indent = 0;
+        for (let level = 0; level < nestingLevel; level++) {
+            indent = indents[level] ?? indent + 2;
+        }
+
+        let marker;
+        if (this.isOrderedGlyph(glyph)) {
+            counts[nestingLevel] = counts[nestingLevel] ?? (glyph.startNumber || 1) - 1;
+            counts[nestingLevel]++;
+            marker = `${counts[nestingLevel]}. `;
+        } else if (this.isCheckboxGlyph(glyph)) {
+            marker = this.isCheckedListItem(paragraph) ? '- [x] ' : '- [ ] ';
+        } else {
+            marker = '- ';
+        }
+
+        indents[nestingLevel] = indent + (marker.startsWith('-') ? 2 : marker.length);
+        return ' '.repeat(indent) + marker;
+    }
+
+    getFormattingKey(textStyle, context) {
+        const link = textStyle.link ? this.getLinkUrl(textStyle.link, context) : null;
+        return JSON.stringify([
+            Boolean(textStyle.bold),
+            Boolean(textStyle.italic),
+            Boolean(textStyle.underline),
+            Boolean(textStyle.strikethrough),
+            this.isMonospaceFont(textStyle.weightedFontFamily?.fontFamily),
+            link,
+            context.keepTextStyling ? this.getExtendedStyle(textStyle) : null
+        ]);
+    }
+
+    // Maps colours and baseline offsets onto what Notion can show: one of its
+    // text or background colours, and <sup>/<sub>.
+    getExtendedStyle(textStyle) {
+        return {
+            color: this.getNotionColor(textStyle.backgroundColor, true) || this.getNotionColor(textStyle.foregroundColor, false),
+            baseline: textStyle.baselineOffset === 'SUPERSCRIPT' ? 'sup' : (textStyle.baselineOffset === 'SUBSCRIPT' ? 'sub' : null),
+            smallCaps: Boolean(textStyle.smallCaps)
+        };
+    }
+
+    getNotionColor(optionalColor, background) {
+        const rgb = optionalColor?.color?.rgbColor;
+        if (!rgb) return null;
+
+        const [red, green, blue] = [rgb.red || 0, rgb.green || 0, rgb.blue || 0];
+        const max = Math.max(red, green, blue);
+        const min = Math.min(red, green, blue);
+        const lightness = (max + min) / 2;
+        const saturation = max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+        const suffix = background ? '_background' : '';
+
+        // Near-black text and near-white backgrounds are Notion's default.
+        if (background ? lightness > 0.92 : lightness < 0.1) return null;
+        if (saturation < 0.15) {
+            return (background || lightness >= 0.3) ? `gray${suffix}` : null;
+        }
+
+        let hue;
+        if (max === red) hue = ((green - blue) / (max - min) + 6) % 6;
+        else if (max === green) hue = (blue - red) / (max - min) + 2;
+        else hue = (red - green) / (max - min) + 4;
+        hue *= 60;
+
+        if (hue >= 10 && hue <= 45 && lightness < 0.35) return `brown${suffix}`;
+
+        const hueDistance = (target) => Math.min(Math.abs(hue - target), 360 - Math.abs(hue - target));
+        const nearest = Object.entries(NOTION_COLOR_HUES)
+            .reduce((best, entry) => hueDistance(entry[1]) < hueDistance(best[1]) ? entry : best);
+        return `${nearest[0]}${suffix}`;
+    }
+
+    // Markers wrap only the text itself: Markdown does not close `**word **`
+    // properly, so surrounding whitespace is kept outside.
+    applyTextFormatting(text, textStyle, context = this.createConversionContext()) {
+        const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!core) return text;
+
+        let formatted = core;
+
+        if (this.isMonospaceFont(textStyle.weightedFontFamily?.fontFamily)) {
+            const fence = core.includes('`') ? '``' : '`';
+            const padding = core.includes('`') ? ' ' : '';
+            formatted = `${fence}${padding}${core}${padding}${fence}`;
+        }
+
+        const extendedStyle = context.keepTextStyling ? this.getExtendedStyle(textStyle) : {};
+        if (extendedStyle.smallCaps) {
+            formatted = formatted.toUpperCase();
+        }
+        if (extendedStyle.baseline) {
+            formatted = `<${extendedStyle.baseline}>${formatted}</${extendedStyle.baseline}>`;
+        }
+        
+        if (textStyle.bold) {
+            formatted = `**${formatted}**`;
+        }
+        
+        if (textStyle.italic) {
+            formatted = `*${formatted}*`;
+        }
+        
+        if (textStyle.underline) {
+            formatted = `<u>${formatted}</u>`;
+        }
+        
+        if (textStyle.strikethrough) {
+            formatted = `~~${formatted}~~`;
+        }
+        
+        if (extendedStyle.color) {
+            formatted = `<mark class="highlight-${extendedStyle.color}">${formatted}</mark>`;
+        }
+        
+        const linkUrl = textStyle.link ? this.getLinkUrl(textStyle.link, context) : null;
+        if (linkUrl) {
+            formatted = `[${formatted}](${linkUrl})`;
+        }
+        
+        return `${leading}${formatted}${trailing}`;
+    }
+
+    // Internal links are written as regular Docs URLs so they keep working when
+    // their target is not part of the export; resolveDocumentLinks rewrites the rest.
+    getLinkUrl(link, context) {
+        if (link.url) return link.url;
+
+        const headingId = link.heading?.id || link.headingId;
+        const bookmarkId = link.bookmark?.id || link.bookmarkId;
+        const tabId = link.heading?.tabId || link.bookmark?.tabId || link.tabId;
+        if (!headingId && !bookmarkId && !tabId) return null;
+
+        let url = `https://docs.google.com/document/d/${context.documentId}/edit`;
+        if (tabId) url += `?tab=${tabId}`;
+        if (headingId) {
+            url += `#heading=${headingId}`;
+        } else if (bookmarkId) {
+            url += `#bookmark=${bookmarkId}`;
+        }
+        return url;
+    }
+
+    extractTableFromElement(table, context = this.createConversionContext()) {
+        const layout = this.layoutTableCells(table);
+        if (layout.length === 0) return '';
+
+        // Markdown tables cannot hold another table, so those fall back to HTML.
+        if (this.hasNestedTable(table)) {
+            return this.renderHtmlTable(layout, context);
+        }
+
+        let markdown = '';
+        layout.forEach((row, rowIndex) => {
+            const cells = row.map(slot => {
+                if (!slot) return '';
+                return this.getTableCellParagraphs(slot.cell, context)
+                    .join('<br>')
+                    .replace(/\|/g, '\\|')
+                    .replace(/\n/g, '<br>');
+            });
+            markdown += `| ${cells.join(' | ')} |\n`;
+
+            if (rowIndex === 0) {
+                markdown += `|${' --- |'.repeat(row.length)}\n`;
+            }
+        });
+        
+        return markdown;
+    }
+
+    getTableCellParagraphs(cell, context) {
+        const paragraphs = [];
+
+        for (const element of cell.content || []) {
+            if (element.paragraph) {
+                const text = this.extractFormattedTextFromParagraph(element.paragraph, context).trim();
+                if (text) paragraphs.push(text);
+            }
+        }
+
+        return paragraphs;
+    }
+
+    hasNestedTable(table) {
+        return (table.tableRows || []).some(row =>
+            (row.tableCells || []).some(cell =>
+                (cell.content || []).some(element => element.table)));
+    }
+
+    // Places every cell in a grid of table.columns slots. Slots covered by a
+    // merged cell stay null, so the following cells keep their own column.
+    layoutTableCells(table) {
+        const rows = table.tableRows || [];
+        const width = table.columns || Math.max(0, ...rows.map(row => (row.tableCells || []).length));
+        const layout = rows.map(() => new Array(width).fill(null));
+        const covered = rows.map(() => new Array(width).fill(false));
+
+        rows.forEach((row, rowIndex) => {
+            const cells = row.tableCells || [];
+            // The API may list the cells hidden by a merge as empty placeholders.
+            const includesCoveredCells = cells.length >= width;
+            let column = 0;
+
+            cells.forEach((cell, cellIndex) => {
+                if (includesCoveredCells) {
+                    column = cellIndex;
+                    if (covered[rowIndex][column]) return;
+                } else {
+                    while (column < width && covered[rowIndex][column]) column++;
+                }
+                if (column >= width) return;
+
+                const colSpan = Math.min(cell.tableCellStyle?.columnSpan || 1, width - column);
+                const rowSpan = Math.min(cell.tableCellStyle?.rowSpan || 1, rows.length - rowIndex);
+                layout[rowIndex][column] = { cell, colSpan, rowSpan };
+
+                for (let r = rowIndex; r < rowIndex + rowSpan; r++) {
+                    for (let c = column; c < column + colSpan; c++) {
+                        covered[r][c] = true;
+                    }
+                }
+                column += colSpan;
+            });
+        });
+
+        return layout;
+    }
+
+    renderHtmlTable(layout, context) {
+        let html = '<table>\n';
+
+        layout.forEach(row => {
+            html += '<tr>';
+            row.forEach(slot => {
+                if (!slot) return;
+
+                const spans = (slot.colSpan > 1 ? ` colspan="${slot.colSpan}"` : '')
+                    + (slot.rowSpan > 1 ? ` rowspan="${slot.rowSpan}"` : '');
+                const parts = [];
+
+                for (const element of slot.cell.content || []) {
+                    if (element.paragraph) {
+                        const text = this.extractFormattedTextFromParagraph(element.paragraph, context).trim();
+                        if (text) parts.push(this.markdownInlineToHtml(text));
+                    } else if (element.table) {
+                        parts.push(this.renderHtmlTable(this.layoutTableCells(element.table), context).trim());
+                    }
+                }
+
+                html += `<td${spans}>${parts.join('<br>')}</td>`;
+            });
+            html += '</tr>\n';
+        });
+
+        return html + '</table>\n';
+    }
+
+    markdownInlineToHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/&lt;(\/?)u&gt;/g, '<$1u>')
+            .replace(/``? ?([^`]+?) ?``?/g, '<code>$1</code>')
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img src="$2" alt="$1">')
+            .replace(/\[([^\]]*)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+            .replace(/\*\*([\s\S]+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*\s][\s\S]*?)\*/g, '<em>$1</em>')
+            .replace(/~~([\s\S]+?)~~/g, '<del>$1</del>')
+            .replace(/\n/g, '<br>');
+    }
+
+    getHeadingLevel(paragraph) {
+        if (paragraph.paragraphStyle && paragraph.paragraphStyle.namedStyleType) {
+            const styleType = paragraph.paragraphStyle.namedStyleType;
+            
+            switch (styleType) {
+                case 'HEADING_1': return 1;
+                case 'HEADING_2': return 2;
+                case 'HEADING_3': return 3;
+                case 'HEADING_4': return 4;
+                case 'HEADING_5': return 5;
+                case 'HEADING_6': return 6;
+                case 'TITLE': return 1;
+                case 'SUBTITLE': return 2;
+                default: return 0;
+            }
+        }
+        
+        return 0;
+    }
+
+    createNotionPagesFromSections(sections) {
+        const pages = [];
+        
+        for (let i = 0; i < sections.length; i++) {
+            const section = sections[i];
+            
+            try {
+                const pageContent = this.createNotionPageFromSection(section);
+                pages.push(pageContent);
+            } catch (error) {
+                pages.push({
+                    ...section,
+                    content: `# ${section.title}\n\n${section.content}`
+                });
+            }
+        }
+
+        return pages;
+    }
+
+    createNotionPageFromSection(section) {
+        let markdownContent = '';
+        
+        const headerPrefix = '#'.repeat(Math.min(section.level || 1, 6));
+        markdownContent += `${headerPrefix} ${section.title}\n\n`;
+        
+        markdownContent += this.normalizeMarkdownText(section.content.trim());
+
+        for (const comment of section.comments || []) {
+            markdownContent += `\n\n${this.formatCommentThread(comment)}`;
+        }
+
+        if (section.footnotes && section.footnotes.length > 0) {
+            markdownContent += '\n\n' + section.footnotes
+                .map(footnote => `[^${footnote.number}]: ${this.normalizeMarkdownText(footnote.text)}`)
+                .join('\n');
+        }
+
+        if (!markdownContent.endsWith('\n')) {
+            markdownContent += '\n';
+        }
+
+        return {
+            ...section,
+            content: markdownContent
+        };
+    }
+
+    // Clean-ups only touch prose: code blocks, inline code, equations and link
+    // targets are left exactly as they appear in the document.
+    normalizeMarkdownText(content) {
+        return content
+            .split(/(```[\s\S]*?```|``[^\n]*?``|`[^`\n]*`|\$\$[\s\S]*?\$\$|\]\([^)\s]*\))/g)
+            .map((part, index) => index % 2 === 1 ? part : part
+                .replace(/\n{3,}/g, '\n\n')
+                .replace(/(\S)[ \t]{2,}/g, '$1 '))
+            .join('')
+            .trim();
+    }
+
+    // Accents on Latin letters are dropped (é becomes e). Marks in every other
+    // script are part of the letter (が, パ, Devanagari vowel signs), so they
+    // are kept and the text is recomposed.
+    slugify(text, maxBytes = MAX_SLUG_BYTES) {
+        const slug = truncateToBytes(text
+            .normalize('NFKD')
+            .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, ''), maxBytes)
+            .replace(/-+$/, '');
+
+        return slug || 'untitled';
+    }
+
+    // Pages carried over from the previous export keep their paths.
+    reservePreviousPaths(naming, resync) {
+        if (!resync) return;
+
+        const keptIds = new Set([...resync.unchanged, ...resync.skipped].map(doc => doc.id));
+        resync.previousManifest.files.forEach(entry => {
+            if (keptIds.has(entry.documentId)) naming.usedNames.add(entry.path);
+        });
+    }
+
+    createNamingState() {
+        return {
+            usedNames: new Set(),
+            directoryTitles: {},
+            pageDirectories: new Map()
+        };
+    }
+
+    // Every level below baseDirectory gets an equal share of the bytes left in
+    // MAX_PATH_BYTES, so the deepest of the pages still fits.
+    getSegmentBytes(depth, baseDirectory = '') {
+        const room = MAX_PATH_BYTES - byteLength(baseDirectory) - '.md'.length;
+        return Math.max(8, Math.floor(room / Math.max(depth, 1)) - '-99/'.length);
+    }
+
+    getMaxDepth(pages) {
+        return Math.max(1, ...pages.map(page => (page.parentPath || []).length + 1));
+    }
+
+    // Pages with the same title at the same level get -2, -3, ... in document
+    // order. Children go into the directory of the page they follow, so two
+    // "Overview" headings keep their own subpages apart.
+    getUniquePageName(page, naming, { namePrefix = '', baseDirectory = '', segmentBytes = MAX_PATH_BYTES } = {}) {
+        const parentPath = page.parentPath || [];
+        const slugBytes = Math.max(8, Math.min(MAX_SLUG_BYTES, segmentBytes - byteLength(namePrefix)));
+        let directory = baseDirectory;
+
+        parentPath.forEach((title, index) => {
+            const key = JSON.stringify([baseDirectory, namePrefix, ...parentPath.slice(0, index + 1)]);
+            directory = naming.pageDirectories.get(key) || `${directory}${namePrefix}${this.slugify(title, slugBytes)}/`;
+            naming.directoryTitles[directory] = title;
+        });
+
+        const room = MAX_PATH_BYTES - byteLength(directory) - byteLength(namePrefix) - '-99.md'.length;
+        const baseName = `${directory}${namePrefix}${this.slugify(page.title, Math.max(8, Math.min(slugBytes, room)))}`;
+
+        let name = `${baseName}.md`;
+        for (let suffix = 2; naming.usedNames.has(name); suffix++) {
+            name = `${baseName}-${suffix}.md`;
+        }
+        naming.usedNames.add(name);
+        naming.pageDirectories.set(JSON.stringify([baseDirectory, namePrefix, ...parentPath, page.title]), `${name.slice(0, -3)}/`);
+
+        return name;
+    }
+
+    resolveAssetLinks(content, assets, filename) {
+        const prefix = '../'.repeat(filename.split('/').length - 1);
+
+        return content
+            .replace(/!\[([^\]]*)\]\(asset:\/\/([a-zA-Z0-9-]+)\)/g, (match, alt, key) => {
+                const asset = assets[key];
+                if (asset && asset.path) {
+                    return `![${alt}](${prefix}${asset.path})`;
+                }
+                return `*[Image not available: ${alt || 'untitled image'}]*`;
+            })
+            .replace(/<img src="asset:\/\/([a-zA-Z0-9-]+)" alt="([^"]*)">/g, (match, key, alt) => {
+                const asset = assets[key];
+                if (asset && asset.path) {
+                    return `<img src="${prefix}${asset.path}" alt="${alt}">`;
+                }
+                return `<em>[Image not available: ${alt || 'untitled image'}]</em>`;
+            });
+    }
+
+    createMarkdownFiles(pages, assets = {}, pageOptions = {}, resync = null) {
+        const entries = [];
+        const naming = this.createNamingState();
+        this.reservePreviousPaths(naming, resync);
+        const segmentBytes = this.getSegmentBytes(this.getMaxDepth(pages));
+
+        pages.forEach(page => {
+            if (!page.title || page.title.trim() === '') return;
+
+            entries.push({
+                name: this.getUniquePageName(page, naming, { segmentBytes }),
+                title: page.title,
+                content: page.content,
+                page
+            });
+        });
+
+        this.addParentPages(entries, naming.directoryTitles);
+
+        return this.finalizeMarkdownFiles(entries, assets, pageOptions);
+    }
+
+    createMarkdownFilesFromFolder(pages, assets = {}, pageOptions = {}, resync = null) {
+        const entries = [];
+        const naming = this.createNamingState();
+        this.reservePreviousPaths(naming, resync);
+        const documentGroups = {};
+
+        pages.forEach(page => {
+            if (!page.title || page.title.trim() === '') return;
+
+            const sourceDoc = page.sourceDocument || 'Unknown Document';
+            const folderPath = page.folderPath || [];
+            const groupKey = JSON.stringify([...folderPath, sourceDoc]);
+            if (!documentGroups[groupKey]) {
+                documentGroups[groupKey] = { docName: sourceDoc, folderPath, pages: [] };
+            }
+            documentGroups[groupKey].pages.push(page);
+        });
+
+        // Folder directories are shared between documents, so they are sized
+        // for the deepest page of the export; each document's own pages share
+        // what is left below its folder, the name prefix included.
+        const folderBytes = Math.min(MAX_SLUG_BYTES, this.getSegmentBytes(Math.max(...Object.values(documentGroups)
+            .map(group => group.folderPath.length + this.getMaxDepth(group.pages)))));
+
+        Object.values(documentGroups).forEach(({ docName, folderPath, pages: docPages }) => {
+            const folderDirectory = this.getPageDirectory(folderPath, '', naming.directoryTitles, '', folderBytes);
+            const segmentBytes = this.getSegmentBytes(this.getMaxDepth(docPages), folderDirectory);
+            const cleanDocName = this.slugify(docName, Math.max(8, Math.min(MAX_SLUG_BYTES, Math.floor(segmentBytes / 2) - 2)));
+
+            docPages.forEach(page => {
+                entries.push({
+                    name: this.getUniquePageName(page, naming, { namePrefix: `${cleanDocName}--`, baseDirectory: folderDirectory, segmentBytes }),
+                    title: page.title,
+                    content: page.content,
+                    source: docName,
+                    page
+                });
+            });
+        });
+
+        this.addParentPages(entries, naming.directoryTitles);
+
+        return this.finalizeMarkdownFiles(entries, assets, pageOptions);
+    }
+
+    // Notion imports "X.csv" next to an "X/" directory as a database and opens
+    // each row's page from the file named after its title, so row pages keep
+    // the document title rather than a slug. A document split into several
+    // pages gets a row page that links them.
+    // In a re-sync, documents that were not fetched again keep their previous row.
+    createDatabaseFiles(pages, assets = {}, { name = 'Documents', documents = [], columns = Object.keys(DATABASE_COLUMNS) } = {}, pageOptions = {}, resync = null) {
+        const entries = [];
+        const naming = this.createNamingState();
+        const databaseName = this.getDatabaseFileName(name);
+        const directory = `${databaseName}/`;
+        const rows = [['Name', ...columns.map(column => DATABASE_COLUMNS[column].header)]];
+
+        const fetchedIds = resync && new Set([...resync.added, ...resync.changed].map(doc => doc.id));
+        const previousRows = new Map();
+        (resync?.previousManifest.files || []).forEach(entry => {
+            if (entry.databaseRow && !fetchedIds.has(entry.documentId)) {
+                previousRows.set(entry.documentId, entry.databaseRow);
+                naming.usedNames.add(entry.path);
+            }
+        });
+
+        documents.forEach(doc => {
+            const docPages = pages.filter(page => page.documentId === doc.id && page.title && page.title.trim() !== '');
+            const values = columns.map(column => DATABASE_COLUMNS[column].value(doc));
+            if (previousRows.has(doc.id)) {
+                rows.push([previousRows.get(doc.id), ...values]);
+                return;
+            }
+
+            // The row page's directory is the first level of its subpages.
+            const segmentBytes = this.getSegmentBytes(this.getMaxDepth(docPages) + 1, directory);
+            const rowBytes = Math.min(MAX_SLUG_BYTES, segmentBytes);
+            let title = doc.name;
+            let rowName = `${directory}${this.getDatabaseFileName(title, rowBytes)}.md`;
+            for (let suffix = 2; naming.usedNames.has(rowName); suffix++) {
+                title = `${doc.name} (${suffix})`;
+                rowName = `${directory}${this.getDatabaseFileName(title, rowBytes)}.md`;
+            }
+            naming.usedNames.add(rowName);
+            rows.push([title, ...values]);
+
+            if (fetchedIds && !fetchedIds.has(doc.id)) {
+                return;
+            }
+
+            if (docPages.length === 1 && (docPages[0].parentPath || []).length === 0) {
+                entries.push({ name: rowName, title, content: docPages[0].content, page: docPages[0], databaseRow: title });
+                return;
+            }
+
+            entries.push({ name: rowName, title, content: `# ${title}\n`, document: doc, databaseRow: title });
+            naming.pageDirectories.set(JSON.stringify([directory, '', title]), `${rowName.slice(0, -3)}/`);
+
+            docPages.forEach(page => {
+                entries.push({
+                    name: this.getUniquePageName({ ...page, parentPath: [title, ...(page.parentPath || [])] }, naming, { baseDirectory: directory, segmentBytes }),
+                    title: page.title,
+                    content: page.content,
+                    page
+                });
+            });
+        });
+
+        this.addParentPages(entries, naming.directoryTitles);
+
+        const files = this.finalizeMarkdownFiles(entries, assets, pageOptions);
+        files.unshift({
+            name: `${databaseName}.csv`,
+            content: this.createCsv(rows),
+            manifest: { type: 'database', title: name }
+        });
+        return files;
+    }
+
+    getDatabaseFileName(title, maxBytes = MAX_SLUG_BYTES) {
+        const name = truncateToBytes(title
+            .normalize('NFC')
+            .replace(/[\\/:*?"<>|\p{Cc}]+/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim(), maxBytes)
+            .replace(/[\s.]+$/, '');
+
+        return name || 'Untitled';
+    }
+
+    createCsv(rows) {
+        return rows.map(row => row.map(value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\n') + '\n';
+    }
+
+    getPageDirectory(titles = [], namePrefix, directoryTitles, baseDirectory = '', maxBytes = MAX_SLUG_BYTES) {
+        let directory = baseDirectory;
+
+        for (const title of titles) {
+            directory += `${namePrefix}${this.slugify(title, maxBytes)}/`;
+            directoryTitles[directory] = title;
+        }
+
+        return directory;
+    }
+
+    // Notion's importer nests the files of an "X/" directory under the sibling
+    // page "X.md", so every directory gets a parent page that links its children.
+    addParentPages(entries, directoryTitles) {
+        const directories = Object.keys(directoryTitles)
+            .sort((a, b) => b.split('/').length - a.split('/').length);
+
+        for (const directory of directories) {
+            const parentName = `${directory.slice(0, -1)}.md`;
+            const linkBase = directory.split('/').slice(-2, -1)[0];
+
+            let parent = entries.find(entry => entry.name === parentName);
+            if (!parent) {
+                parent = {
+                    name: parentName,
+                    title: directoryTitles[directory],
+                    content: `# ${directoryTitles[directory]}\n`
+                };
+                entries.push(parent);
+            }
+
+            const children = entries.filter(entry =>
+                entry.name.startsWith(directory) && !entry.name.slice(directory.length).includes('/'));
+            const links = children.map(child => `- [${child.title}](${`${linkBase}/${child.name.slice(directory.length)}`.replace(/ /g, '%20')})`);
+
+            parent.content = `${parent.content.replace(/\n+$/, '')}\n\n## Subpages\n\n${links.join('\n')}\n`;
+        }
+    }
+
+    buildLinkTargets(entries) {
+        const targets = {};
+        const addTarget = (key, name) => {
+            if (!targets[key]) targets[key] = name;
+        };
+
+        entries.forEach(entry => {
+            if (entry.document) addTarget(`doc:${entry.document.id}`, entry.name);
+
+            const page = entry.page;
+            if (!page || !page.documentId) return;
+
+            if (page.headingId) addTarget(`anchor:${page.documentId}:${page.headingId}`, entry.name);
+            (page.anchorIds || []).forEach(anchorId => addTarget(`anchor:${page.documentId}:${anchorId}`, entry.name));
+            if (page.tabId) addTarget(`tab:${page.documentId}:${page.tabId}`, entry.name);
+            addTarget(`doc:${page.documentId}`, entry.name);
+        });
+
+        return targets;
+    }
+
+    // Rewrites links to headings, bookmarks, tabs and documents that were
+    // converted in the same run into relative links; every other link is left
+    // untouched. A bookmark whose position is unknown links to its tab or
+    // document instead.
+    resolveDocumentLinks(content, filename, targets) {
+        return content.replace(/(\]\(|href=")(https:\/\/docs\.google\.com\/document\/d\/[^)"\s]+)/g, (match, prefix, url) => {
+            const docId = url.match(/\/document\/d\/([a-zA-Z0-9-_]+)/)[1];
+            const tabId = url.match(/[?&]tab=([^&#]+)/)?.[1];
+            const anchorId = url.match(/#(?:heading|bookmark)=([^&]+)/)?.[1];
+
+            const target = (anchorId && targets[`anchor:${docId}:${anchorId}`])
+                || (tabId && targets[`tab:${docId}:${tabId}`])
+                || targets[`doc:${docId}`];
+
+            return target ? `${prefix}${this.getRelativePath(filename, target).replace(/ /g, '%20')}` : match;
+        });
+    }
+
+    getRelativePath(fromFile, toFile) {
+        const fromDirs = fromFile.split('/').slice(0, -1);
+        const toParts = toFile.split('/');
+
+        let common = 0;
+        while (common < fromDirs.length && common < toParts.length - 1 && fromDirs[common] === toParts[common]) {
+            common++;
+        }
+
+        return '../'.repeat(fromDirs.length - common) + toParts.slice(common).join('/');
+    }
+
+    // frontMatter is 'none', 'yaml' or 'properties'; footer adds the
+    // "Converted from Google Docs" line at the end of every page.
+    finalizeMarkdownFiles(entries, assets, { frontMatter = 'none', footer = true } = {}) {
+        const linkTargets = this.buildLinkTargets(entries);
+        const convertedAt = new Date();
+
+        return entries.map(entry => {
+            const manifest = this.createManifestEntry(entry);
+            let content = this.resolveAssetLinks(entry.content, assets, entry.name);
+            content = this.resolveDocumentLinks(content, entry.name, linkTargets);
+            content = this.addFrontMatter(content, manifest, frontMatter, convertedAt);
+            if (footer) {
+                content += '\n\n---\n\n';
+                if (entry.source) {
+                    content += `*Source: ${entry.source}*\n`;
+                }
+                content += `*Converted from Google Docs to Notion on ${convertedAt.toLocaleDateString()}*`;
+            }
+
+            return {
+                name: entry.name,
+                content: content,
+                manifest
+            };
+        });
+    }
+
+    // Folder pages only list their children, so they carry no provenance.
+    addFrontMatter(content, manifest, frontMatter, convertedAt) {
+        if (frontMatter === 'none' || manifest.type === 'folder') {
+            return content;
+        }
+
+        const fields = [
+            ['title', 'Title', manifest.title],
+            ['document', 'Source Document', manifest.sourceDocument],
+            ['document_id', 'Document ID', manifest.documentId],
+            ['source_url', 'Source URL', manifest.sourceUrl],
+            ['revision_id', 'Revision', manifest.revisionId],
+            ['tab', 'Tab', manifest.tab],
+            ['tab_id', 'Tab ID', manifest.tabId],
+            ['heading_path', 'Heading Path', manifest.headingPath?.length ? manifest.headingPath : null],
+            ['heading_id', 'Heading ID', manifest.headingId],
+            ['converted_at', 'Converted', convertedAt.toISOString()]
+        ].filter(([, , value]) => value);
+
+        if (frontMatter === 'yaml') {
+            const lines = fields.map(([key, , value]) => `${key}: ${JSON.stringify(value)}`);
+            return `---\n${lines.join('\n')}\n---\n\n${content}`;
+        }
+
+        // Property lines go under the title, the way Notion exports database pages.
+        const lines = fields
+            .filter(([key]) => key !== 'title')
+            .map(([, label, value]) => `${label}: ${Array.isArray(value) ? value.join(' / ') : value}`);
+        const titleMatch = content.match(/^#{1,6} .*\n+/);
+        const titleLine = titleMatch ? titleMatch[0].replace(/\n+$/, '\n\n') : '';
+        return `${titleLine}${lines.join('\n')}\n\n${content.slice(titleMatch ? titleMatch[0].length : 0)}`;
+    }
+
+    // Database rows also record the row's title, which a re-sync reuses for
+    // the rows it does not convert again.
+    createManifestEntry(entry) {
+        const page = entry.page;
+        const row = entry.databaseRow ? { databaseRow: entry.databaseRow } : {};
+        if (entry.document) {
+            return {
+                type: 'document',
+                title: entry.title,
+                sourceDocument: entry.document.name,
+                documentId: entry.document.id,
+                sourceUrl: entry.document.webViewLink || null,
+                ...row
+            };
+        }
+        if (!page) {
+            return { type: 'folder', title: entry.title };
+        }
+
+        const tabPath = page.tabPath || [];
+        const headingAncestors = (page.parentPath || []).slice(Math.max(0, tabPath.length - 1));
+
+        return {
+            type: 'page',
+            title: page.title,
+            sourceDocument: page.sourceDocument || page.documentTitle || null,
+            documentId: page.documentId || null,
+            sourceUrl: this.getPageSourceUrl(page),
+            revisionId: page.revisionId || null,
+            tab: tabPath.length > 0 ? tabPath.join(' / ') : null,
+            tabId: page.tabId || null,
+            headingPath: page.headingId ? [...headingAncestors, page.title] : headingAncestors,
+            headingId: page.headingId || null,
+            ...row
+        };
+    }
+
+    getPageSourceUrl(page) {
+        if (!page.sourceUrl) return null;
+
+        let url = page.sourceUrl;
+        if (page.tabId) url += `?tab=${page.tabId}`;
+        if (page.headingId) url += `#heading=${page.headingId}`;
+        return url;
+    }
+
+    // Records where every file in the bundle came from, so pages can be traced
+    // back to their document, tab and heading after the import.
+    // A re-sync carries over the entries of documents that were not fetched again.
+    createManifest(files, documents = null, resync = null) {
+        const manifestFiles = files.map(file => ({ path: file.name, ...file.manifest }));
+
+        if (resync) {
+            const paths = new Set(files.map(file => file.name));
+            const unchangedIds = new Set([...resync.unchanged, ...resync.skipped].map(doc => doc.id));
+            manifestFiles.push(...resync.previousManifest.files.filter(entry => !paths.has(entry.path)
+                && (entry.documentId ? unchangedIds.has(entry.documentId) : entry.type === 'folder')));
+        }
+
+        return {
+            name: 'manifest.json',
+            content: JSON.stringify({
+                generatedAt: new Date().toISOString(),
+                ...(documents ? { documents } : {}),
+                files: manifestFiles
+            }, null, 2) + '\n'
+        };
+    }
+
+    parseManifest(text) {
+        let manifest;
+        try {
+            manifest = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The previous manifest is not valid JSON');
+        }
+
+        if (!Array.isArray(manifest?.files) || !Array.isArray(manifest.documents)) {
+            throw new Error('The previous manifest has no document list; use the manifest.json of an earlier folder export');
+        }
+        return manifest;
+    }
+
+    // Sorts a folder's documents against the previous export. Drive moves
+    // modifiedTime forward on every edit, so only documents whose time changed
+    // need to be fetched again. Documents that are still in the folder but
+    // were not picked for this run (listedDocuments holds the whole folder)
+    // are skipped and keep their previous pages.
+    planResync(documents, previousManifest, listedDocuments = documents) {
+        const previousDocuments = new Map(previousManifest.documents.map(doc => [doc.id, doc]));
+        const currentIds = new Set(listedDocuments.map(doc => doc.id));
+        const selectedIds = new Set(documents.map(doc => doc.id));
+        const resync = { previousManifest, added: [], changed: [], unchanged: [], removed: [], skipped: [] };
+
+        documents.forEach(doc => {
+            const previous = previousDocuments.get(doc.id);
+            if (!previous) {
+                resync.added.push(doc);
+            } else if (!previous.modifiedTime || doc.modifiedTime !== previous.modifiedTime) {
+                resync.changed.push(doc);
+            } else {
+                resync.unchanged.push(doc);
+            }
+        });
+        resync.removed = previousManifest.documents.filter(doc => !currentIds.has(doc.id));
+        resync.skipped = previousManifest.documents.filter(doc => currentIds.has(doc.id) && !selectedIds.has(doc.id));
+
+        return resync;
+    }
+
+    // modifiedTime also moves on for changes that leave the text alone, such
+    // as new sharing settings; a fetched document whose revision and name
+    // match the previous export is moved over to the unchanged ones.
+    isUnchangedRevision(resync, doc, sections) {
+        const previous = resync.previousManifest.documents.find(entry => entry.id === doc.id);
+        const revisionId = sections[0]?.revisionId;
+        if (!previous || !revisionId || previous.revisionId !== revisionId || previous.name !== doc.name) {
+            return false;
+        }
+
+        resync.changed = resync.changed.filter(entry => entry !== doc);
+        resync.unchanged.push(doc);
+        return true;
+    }
+
+    // Failed or preview-edited documents get no modifiedTime, so they are fetched again.
+    createDocumentRecords(documents, pages, resync = null, editedDocumentIds = new Set()) {
+        const records = documents.map(doc => {
+            const previous = resync?.previousManifest.documents.find(entry => entry.id === doc.id);
+            if (previous && resync.unchanged.includes(doc)) {
+                return { ...previous, name: doc.name, folderPath: doc.folderPath || [], modifiedTime: doc.modifiedTime || previous.modifiedTime };
+            }
+
+            const docPages = pages.filter(page => page.documentId === doc.id);
+            const converted = !editedDocumentIds.has(doc.id) && docPages.some(page => page.parentTab !== 'Error');
+            return {
+                id: doc.id,
+                name: doc.name,
+                folderPath: doc.folderPath || [],
+                modifiedTime: converted ? doc.modifiedTime || null : null,
+                revisionId: docPages.find(page => page.revisionId)?.revisionId || null
+            };
+        });
+
+        return [...records, ...(resync?.skipped || [])];
+    }
+
+    createChangeReport(resync, files) {
+        const previousFiles = resync.previousManifest.files;
+        const newFiles = files.map(file => ({ path: file.name, ...file.manifest }));
+        const pathsOf = (entries, docId) => entries
+            .filter(entry => entry.documentId === docId)
+            .map(entry => entry.path);
+        const describe = doc => {
+            const folder = (doc.folderPath || []).join(' / ');
+            return folder ? `**${doc.name}** (${folder})` : `**${doc.name}**`;
+        };
+        const lines = ['# Changes Since the Last Export', ''];
+
+        if (resync.previousManifest.generatedAt) {
+            lines.push(`Compared with the export from ${resync.previousManifest.generatedAt.slice(0, 10)}.`, '');
+        }
+
+        lines.push(`## Added Documents (${resync.added.length})`, '');
+        resync.added.forEach(doc => {
+            lines.push(`- ${describe(doc)}`);
+            pathsOf(newFiles, doc.id).forEach(path => lines.push(`  - New: ${path}`));
+        });
+
+        lines.push('', `## Changed Documents (${resync.changed.length})`, '');
+        resync.changed.forEach(doc => {
+            const newPaths = pathsOf(newFiles, doc.id);
+            const oldPaths = pathsOf(previousFiles, doc.id);
+            lines.push(`- ${describe(doc)}`);
+            newPaths.forEach(path => lines.push(`  - ${oldPaths.includes(path) ? 'Updated' : 'New'}: ${path}`));
+            oldPaths.filter(path => !newPaths.includes(path))
+                .forEach(path => lines.push(`  - Removed: ${path} (delete this page in Notion)`));
+        });
+
+        lines.push('', `## Removed Documents (${resync.removed.length})`, '');
+        resync.removed.forEach(doc => {
+            lines.push(`- ${describe(doc)}`);
+            pathsOf(previousFiles, doc.id).forEach(path => lines.push(`  - Removed: ${path} (delete this page in Notion)`));
+        });
+
+        lines.push('', `${resync.unchanged.length} unchanged document(s) are not included in this bundle.`);
+        if (resync.skipped.length > 0) {
+            lines.push(`${resync.skipped.length} document(s) were left out of this run and keep their pages from the last export.`);
+        }
+
+        return {
+            name: 'changes.md',
+            content: lines.join('\n') + '\n',
+            manifest: { type: 'report', title: 'Changes Since the Last Export' }
+        };
+    }
+
+    async downloadImageAssets(pages, { onProgress = () => {} } = {}) {
+        const assets = {};
+        const images = pages.flatMap(page => (page.images || []).map(image => ({ ...image, pageTitle: page.title })));
+        let imageCount = 0;
+
+        for (const image of images) {
+            if (assets[image.key]) continue;
+
+            if (!image.contentUri) {
+                assets[image.key] = {
+                    alt: image.alt,
+                    pageTitle: image.pageTitle,
+                    error: image.kind === 'drawing'
+                        ? 'Drawings are not exported by the Google Docs API'
+                        : 'The document did not provide an image URL'
+                };
+                continue;
+            }
+
+            onProgress(imageCount + 1, images.length);
+
+            try {
+                const response = await fetch(image.contentUri);
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+
+                const blob = await response.blob();
+                imageCount++;
+                assets[image.key] = {
+                    alt: image.alt,
+                    pageTitle: image.pageTitle,
+                    path: `assets/image-${imageCount}.${this.getImageExtension(blob.type)}`,
+                    blob
+                };
+            } catch (error) {
+                assets[image.key] = {
+                    alt: image.alt,
+                    pageTitle: image.pageTitle,
+                    error: `Download failed: ${error.message}`
+                };
+            }
+        }
+
+        return assets;
+    }
+
+    // The files of a Notion import bundle: one Markdown file per page, the
+    // downloaded images and a list of the images that could not be exported.
+    // With a database, a folder's documents become the rows of a CSV instead.
+    // documents (from a folder listing) are recorded in the manifest, and a
+    // re-sync adds a report of what changed since the previous export.
+    buildWorkspaceFiles(pages, assets = {}, { fromFolder = false, database = null, documents = null, resync = null, editedDocumentIds = new Set(), frontMatter = 'none', footer = true } = {}) {
+        const pageOptions = { frontMatter, footer };
+        let files;
+        if (database) {
+            files = this.createDatabaseFiles(pages, assets, database, pageOptions, resync);
+        } else {
+            files = fromFolder
+                ? this.createMarkdownFilesFromFolder(pages, assets, pageOptions, resync)
+                : this.createMarkdownFiles(pages, assets, pageOptions, resync);
+        }
+
+        Object.values(assets).forEach(asset => {
+            if (asset.path) {
+                files.push({
+                    name: asset.path,
+                    content: asset.blob,
+                    manifest: { type: 'image', title: asset.alt || null, page: asset.pageTitle }
+                });
+            }
+        });
+
+        const failedImages = Object.values(assets).filter(asset => asset.error);
+        if (failedImages.length > 0) {
+            files.push({
+                name: 'assets/unavailable-images.md',
+                content: `# Unavailable Images\n\n${failedImages.map(asset => `- ${asset.alt || 'Untitled image'} (${asset.pageTitle}): ${asset.error}`).join('\n')}\n`,
+                manifest: { type: 'report', title: 'Unavailable Images' }
+            });
+        }
+
+        if (resync) {
+            files.push(this.createChangeReport(resync, files));
+        }
+
+        files.push(this.createManifest(files, documents && this.createDocumentRecords(documents, pages, resync, editedDocumentIds), resync));
+        return files;
+    }
+
+    getImageExtension(mimeType) {
+        switch (mimeType) {
+            case 'image/jpeg': return 'jpg';
+            case 'image/gif': return 'gif';
+            case 'image/webp': return 'webp';
+            case 'image/svg+xml': return 'svg';
+            default: return 'png';
+        }
+    }
+
+    extractDocId(url) {
+        const match = url.match(/\/document\/d\/([a-zA-Z0-9-_]+)/);
+        if (!match) throw new Error('Invalid Google Docs URL format');
+        return match[1];
+    }
+
+    extractFolderId(url) {
+        const match = url.match(/\/folders\/([a-zA-Z0-9-_]+)/);
+        if (!match) throw new Error('Invalid Google Drive folder URL format');
+        return match[1];
+    }
+}
@@ -0,0 +1,133 @@
+// Lists the docs found in a folder with checkboxes, so only the chosen ones are
+// converted. The text filter only hides rows; select all applies to the rows
+// that are shown.
+export class DocumentPicker {
+    constructor(container) {
+        this.container = container;
+    }
+
+    // Resolves with the selected docs, or with null when the user cancels.
+    open(docs) {
+        const selected = new Set(docs);
+        const rows = [];
+
+        const header = document.createElement('div');
+        header.className = 'page-preview-header';
+        const title = document.createElement('h3');
+        header.appendChild(title);
+
+        const filterInput = document.createElement('input');
+        filterInput.type = 'search';
+        filterInput.className = 'document-filter';
+        filterInput.placeholder = 'Filter by name, folder or owner';
+
+        const selectAll = document.createElement('input');
+        selectAll.type = 'checkbox';
+        const selectAllLabel = document.createElement('label');
+        selectAllLabel.className = 'document-select-all';
+        selectAllLabel.append(selectAll, ' Select all shown');
+
+        const controls = document.createElement('div');
+        controls.className = 'document-picker-controls';
+        controls.append(filterInput, selectAllLabel);
+
+        const list = document.createElement('ul');
+        list.className = 'document-list';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'page-preview-cancel';
+        cancelButton.textContent = 'Cancel';
+
+        const confirmButton = document.createElement('button');
+        confirmButton.type = 'button';
+        confirmButton.className = 'generate-btn';
+
+        const actions = document.createElement('div');
+        actions.className = 'page-preview-actions';
+        actions.append(cancelButton, confirmButton);
+
+        const update = () => {
+            const visibleRows = rows.filter(row => !row.item.hidden);
+            title.textContent = `Choose documents (${selected.size} of ${docs.length} selected)`;
+            selectAll.checked = visibleRows.length > 0 && visibleRows.every(row => selected.has(row.doc));
+            confirmButton.textContent = `🚀 Convert ${selected.size} document(s)`;
+            confirmButton.disabled = selected.size === 0;
+        };
+
+        docs.forEach(doc => {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    selected.add(doc);
+                } else {
+                    selected.delete(doc);
+                }
+                update();
+            });
+
+            const name = document.createElement('span');
+            name.className = 'document-name';
+            name.textContent = [...(doc.folderPath || []), doc.name].join(' / ');
+
+            const details = document.createElement('span');
+            details.className = 'document-details';
+            details.textContent = [
+                doc.modifiedTime ? `Modified ${doc.modifiedTime.slice(0, 10)}` : null,
+                doc.owners?.[0]?.displayName || doc.owners?.[0]?.emailAddress || null
+            ].filter(Boolean).join(' · ');
+
+            const label = document.createElement('label');
+            label.append(checkbox, name, details);
+
+            const item = document.createElement('li');
+            item.appendChild(label);
+            list.appendChild(item);
+
+            rows.push({ doc, item, checkbox, text: `${name.textContent} ${details.textContent}`.toLowerCase() });
+        });
+
+        filterInput.addEventListener('input', () => {
+            const query = filterInput.value.trim().toLowerCase();
+            rows.forEach(row => {
+                row.item.hidden = Boolean(query) && !row.text.includes(query);
+            });
+            update();
+        });
+
+        selectAll.addEventListener('change', () => {
+            rows.filter(row => !row.item.hidden).forEach(row => {
+                row.checkbox.checked = selectAll.checked;
+                if (selectAll.checked) {
+                    selected.add(row.doc);
+                } else {
+                    selected.delete(row.doc);
+                }
+            });
+            update();
+        });
+
+        update();
+        this.container.replaceChildren(header, controls, list, actions);
+        this.container.classList.add('visible');
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        return new Promise(resolve => {
+            cancelButton.addEventListener('click', () => {
+                this.close();
+                resolve(null);
+            });
+            confirmButton.addEventListener('click', () => {
+                this.close();
+                resolve(docs.filter(doc => selected.has(doc)));
+            });
+        });
+    }
+
+    close() {
+        this.container.classList.remove('visible');
+        this.container.replaceChildren();
+    }
+}
@@ -0,0 +1,422 @@
+// Reads a .docx file in the browser and returns it in the shape the Docs API
+// uses (body.content, inlineObjects, lists), so uploaded Word files go through
+// the same section extraction as Google Docs.
+
+const NAMED_STYLE_TYPES = {
+    'title': 'TITLE',
+    'subtitle': 'SUBTITLE',
+    'heading 1': 'HEADING_1',
+    'heading 2': 'HEADING_2',
+    'heading 3': 'HEADING_3',
+    'heading 4': 'HEADING_4',
+    'heading 5': 'HEADING_5',
+    'heading 6': 'HEADING_6'
+};
+
+const NUMBER_FORMAT_GLYPHS = {
+    decimal: 'DECIMAL',
+    decimalZero: 'ZERO_DECIMAL',
+    lowerLetter: 'ALPHA',
+    upperLetter: 'UPPER_ALPHA',
+    lowerRoman: 'ROMAN',
+    upperRoman: 'UPPER_ROMAN'
+};
+
+const IMAGE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    svg: 'image/svg+xml',
+    webp: 'image/webp'
+};
+
+const LATEX_SYMBOLS = {
+    'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'θ': '\\theta',
+    'λ': '\\lambda', 'μ': '\\mu', 'π': '\\pi', 'σ': '\\sigma', 'φ': '\\phi', 'ω': '\\omega',
+    'Δ': '\\Delta', 'Σ': '\\Sigma', 'Ω': '\\Omega',
+    '×': '\\times', '÷': '\\div', '±': '\\pm', '·': '\\cdot', '≤': '\\le', '≥': '\\ge', '≠': '\\neq',
+    '≈': '\\approx', '∞': '\\infty', '→': '\\to', '∈': '\\in', '∂': '\\partial', '∇': '\\nabla',
+    '∑': '\\sum', '∏': '\\prod', '∫': '\\int'
+};
+
+const DELIMITERS = { '(': '(', ')': ')', '[': '[', ']': ']', '{': '\\{', '}': '\\}', '|': '|' };
+
+function parseXml(text) {
+    return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+async function readXml(zip, path) {
+    const file = zip.file(path);
+    return file ? parseXml(await file.async('string')) : null;
+}
+
+function childElements(element, localName = null) {
+    return Array.from(element?.children || []).filter(child => !localName || child.localName === localName);
+}
+
+function firstChild(element, localName) {
+    return childElements(element, localName)[0] || null;
+}
+
+function isToggleOn(element) {
+    if (!element) return false;
+    const value = element.getAttribute('w:val');
+    return !value || !['false', '0', 'off', 'none'].includes(value);
+}
+
+function toLatexText(text) {
+    return Array.from(text, character => LATEX_SYMBOLS[character] ? `${LATEX_SYMBOLS[character]} ` : character).join('');
+}
+
+// Converts Office Math (OMML) into LaTeX for the structures Word's equation
+// editor produces most often; anything else falls back to its text.
+function ommlToLatex(element) {
+    return convertOmml(element).replace(/\s+/g, ' ').trim();
+}
+
+function convertOmml(element) {
+    const part = (localName) => convertOmml(firstChild(element, localName)).trim();
+    const properties = firstChild(element, `${element?.localName}Pr`);
+    const propertyValue = (localName, fallback) =>
+        firstChild(properties, localName)?.getAttribute('m:val') ?? fallback;
+
+    switch (element?.localName) {
+        case undefined:
+            return '';
+        case 't':
+            return toLatexText(element.textContent);
+        case 'f':
+            return `\\frac{${part('num')}}{${part('den')}}`;
+        case 'sSup':
+            return `{${part('e')}}^{${part('sup')}}`;
+        case 'sSub':
+            return `{${part('e')}}_{${part('sub')}}`;
+        case 'sSubSup':
+            return `{${part('e')}}_{${part('sub')}}^{${part('sup')}}`;
+        case 'rad': {
+            const degree = part('deg');
+            return degree ? `\\sqrt[${degree}]{${part('e')}}` : `\\sqrt{${part('e')}}`;
+        }
+        case 'd': {
+            const open = propertyValue('begChr', '(');
+            const close = propertyValue('endChr', ')');
+            const content = childElements(element, 'e').map(convertOmml).join(propertyValue('sepChr', ','));
+            return `\\left${DELIMITERS[open] || '.'} ${content} \\right${DELIMITERS[close] || '.'}`;
+        }
+        case 'nary': {
+            const operator = LATEX_SYMBOLS[propertyValue('chr', '∫')] || '\\int';
+            const lower = part('sub');
+            const upper = part('sup');
+            return `${operator}${lower ? `_{${lower}}` : ''}${upper ? `^{${upper}}` : ''} ${part('e')}`;
+        }
+        case 'func':
+            return `\\${part('fName').replace(/^\\/, '')} ${part('e')}`;
+        default:
+            return childElements(element)
+                .filter(child => !child.localName.endsWith('Pr'))
+                .map(convertOmml)
+                .join('');
+    }
+}
+
+function parseStyleNames(stylesXml) {
+    const names = {};
+    if (!stylesXml) return names;
+
+    for (const style of stylesXml.getElementsByTagName('w:style')) {
+        const name = firstChild(style, 'name')?.getAttribute('w:val');
+        if (name) names[style.getAttribute('w:styleId')] = name.toLowerCase();
+    }
+
+    return names;
+}
+
+function parseLists(numberingXml) {
+    const lists = {};
+    if (!numberingXml) return lists;
+
+    const abstractLevels = {};
+    for (const abstractNum of numberingXml.getElementsByTagName('w:abstractNum')) {
+        abstractLevels[abstractNum.getAttribute('w:abstractNumId')] = childElements(abstractNum, 'lvl').map(level => {
+            const format = firstChild(level, 'numFmt')?.getAttribute('w:val');
+            if (format === 'bullet' || !format) {
+                return { glyphSymbol: firstChild(level, 'lvlText')?.getAttribute('w:val') || '●' };
+            }
+            return { glyphType: NUMBER_FORMAT_GLYPHS[format] || 'DECIMAL' };
+        });
+    }
+
+    for (const num of numberingXml.getElementsByTagName('w:num')) {
+        const abstractNumId = firstChild(num, 'abstractNumId')?.getAttribute('w:val');
+        lists[num.getAttribute('w:numId')] = {
+            listProperties: { nestingLevels: abstractLevels[abstractNumId] || [] }
+        };
+    }
+
+    return lists;
+}
+
+function parseRelationships(relsXml) {
+    const relationships = {};
+    if (!relsXml) return relationships;
+
+    for (const rel of relsXml.getElementsByTagName('Relationship')) {
+        relationships[rel.getAttribute('Id')] = {
+            target: rel.getAttribute('Target'),
+            external: rel.getAttribute('TargetMode') === 'External'
+        };
+    }
+
+    return relationships;
+}
+
+class DocxDocumentBuilder {
+    constructor(zip, { styleNames, lists, relationships }) {
+        this.zip = zip;
+        this.styleNames = styleNames;
+        this.lists = lists;
+        this.relationships = relationships;
+        this.inlineObjects = {};
+        this.footnotes = {};
+        this.imageCount = 0;
+        this.footnoteCount = 0;
+    }
+
+    getTextStyle(runProperties) {
+        const style = {};
+        if (!runProperties) return style;
+
+        if (isToggleOn(firstChild(runProperties, 'b'))) style.bold = true;
+        if (isToggleOn(firstChild(runProperties, 'i'))) style.italic = true;
+        if (isToggleOn(firstChild(runProperties, 'u'))) style.underline = true;
+        if (isToggleOn(firstChild(runProperties, 'strike')) || isToggleOn(firstChild(runProperties, 'dstrike'))) {
+            style.strikethrough = true;
+        }
+
+        const fontFamily = firstChild(runProperties, 'rFonts')?.getAttribute('w:ascii');
+        if (fontFamily) style.weightedFontFamily = { fontFamily };
+
+        return style;
+    }
+
+    async createImage(drawing) {
+        const blip = drawing.getElementsByTagName('a:blip')[0];
+        const relationship = this.relationships[blip?.getAttribute('r:embed')];
+        const docProperties = drawing.getElementsByTagName('wp:docPr')[0];
+        const objectId = `docx.image${++this.imageCount}`;
+
+        let contentUri = null;
+        if (relationship && !relationship.external) {
+            const path = `word/${relationship.target.replace(/^\/?word\//, '')}`;
+            const file = this.zip.file(path);
+            if (file) {
+                const extension = path.split('.').pop().toLowerCase();
+                const blob = new Blob([await file.async('arraybuffer')], { type: IMAGE_MIME_TYPES[extension] || 'application/octet-stream' });
+                contentUri = URL.createObjectURL(blob);
+            }
+        }
+
+        this.inlineObjects[objectId] = {
+            inlineObjectProperties: {
+                embeddedObject: {
+                    title: docProperties?.getAttribute('title') || '',
+                    description: docProperties?.getAttribute('descr') || '',
+                    imageProperties: { contentUri }
+                }
+            }
+        };
+
+        return { inlineObjectElement: { inlineObjectId: objectId } };
+    }
+
+    async collectRunElements(run, link, elements, suggestion) {
+        const textStyle = { ...this.getTextStyle(firstChild(run, 'rPr')), ...(link ? { link } : {}) };
+
+        for (const child of childElements(run)) {
+            switch (child.localName) {
+                case 't':
+                case 'delText':
+                    elements.push({ textRun: { content: child.textContent, textStyle, ...suggestion } });
+                    break;
+                case 'tab':
+                    elements.push({ textRun: { content: '\t', textStyle, ...suggestion } });
+                    break;
+                case 'br':
+                    elements.push(child.getAttribute('w:type') === 'page'
+                        ? { pageBreak: {} }
+                        : { textRun: { content: '\n', textStyle: {} } });
+                    break;
+                case 'cr':
+                    elements.push({ textRun: { content: '\n', textStyle: {} } });
+                    break;
+                case 'drawing':
+                    elements.push(await this.createImage(child));
+                    break;
+                case 'footnoteReference':
+                    elements.push({
+                        footnoteReference: {
+                            footnoteId: child.getAttribute('w:id'),
+                            footnoteNumber: String(++this.footnoteCount)
+                        }
+                    });
+                    break;
+            }
+        }
+    }
+
+    // Tracked changes are tagged the way the Docs API tags suggestions.
+    async collectParagraphElements(container, link, elements, suggestion = {}) {
+        for (const child of childElements(container)) {
+            if (child.localName === 'r') {
+                await this.collectRunElements(child, link, elements, suggestion);
+            } else if (child.localName === 'hyperlink') {
+                const relationship = this.relationships[child.getAttribute('r:id')];
+                const anchor = child.getAttribute('w:anchor');
+                const hyperlink = relationship?.external
+                    ? { url: relationship.target }
+                    : (anchor ? { bookmarkId: anchor } : link);
+                await this.collectParagraphElements(child, hyperlink, elements, suggestion);
+            } else if (child.localName === 'oMath') {
+                elements.push({ equation: { latex: ommlToLatex(child) } });
+            } else if (child.localName === 'oMathPara') {
+                for (const math of childElements(child, 'oMath')) {
+                    elements.push({ equation: { latex: ommlToLatex(math) } });
+                }
+            } else if (child.localName === 'ins') {
+                await this.collectParagraphElements(child, link, elements, { suggestedInsertionIds: [child.getAttribute('w:id')] });
+            } else if (child.localName === 'del') {
+                await this.collectParagraphElements(child, link, elements, { suggestedDeletionIds: [child.getAttribute('w:id')] });
+            } else if (['smartTag', 'sdt', 'sdtContent', 'fldSimple'].includes(child.localName)) {
+                await this.collectParagraphElements(child, link, elements, suggestion);
+            }
+        }
+    }
+
+    async createParagraph(paragraphXml) {
+        const properties = firstChild(paragraphXml, 'pPr');
+        const styleId = firstChild(properties, 'pStyle')?.getAttribute('w:val');
+        const namedStyleType = NAMED_STYLE_TYPES[this.styleNames[styleId] || (styleId || '').toLowerCase()] || 'NORMAL_TEXT';
+
+        const elements = [];
+        await this.collectParagraphElements(paragraphXml, null, elements);
+        elements.push({ textRun: { content: '\n', textStyle: {} } });
+
+        const paragraph = { elements, paragraphStyle: { namedStyleType } };
+        // Word adds a hidden _GoBack bookmark at the last edit.
+        const bookmarkIds = Array.from(paragraphXml.getElementsByTagName('w:bookmarkStart'))
+            .map(bookmark => bookmark.getAttribute('w:name'))
+            .filter(name => name && name !== '_GoBack');
+        if (bookmarkIds.length > 0) paragraph.bookmarkIds = bookmarkIds;
+
+        const numbering = firstChild(properties, 'numPr');
+        const listId = firstChild(numbering, 'numId')?.getAttribute('w:val');
+        if (listId && listId !== '0') {
+            paragraph.bullet = {
+                listId,
+                nestingLevel: parseInt(firstChild(numbering, 'ilvl')?.getAttribute('w:val') || '0', 10)
+            };
+        }
+
+        return { paragraph };
+    }
+
+    async createTable(tableXml) {
+        const rows = childElements(tableXml, 'tr');
+        const grid = rows.map(row => {
+            let column = 0;
+            return childElements(row, 'tc').map(cell => {
+                const properties = firstChild(cell, 'tcPr');
+                const columnSpan = parseInt(firstChild(properties, 'gridSpan')?.getAttribute('w:val') || '1', 10);
+                const verticalMerge = firstChild(properties, 'vMerge');
+                const entry = {
+                    cell,
+                    column,
+                    columnSpan,
+                    continuesMerge: Boolean(verticalMerge) && verticalMerge.getAttribute('w:val') !== 'restart'
+                };
+                column += columnSpan;
+                return entry;
+            });
+        });
+        const columns = Math.max(0, ...grid.map(row => row.reduce((total, entry) => total + entry.columnSpan, 0)));
+
+        const tableRows = [];
+        for (let rowIndex = 0; rowIndex < grid.length; rowIndex++) {
+            const tableCells = [];
+            for (const entry of grid[rowIndex]) {
+                // Cells that continue a vertical merge are covered by the cell above.
+                if (entry.continuesMerge) continue;
+
+                let rowSpan = 1;
+                while (grid[rowIndex + rowSpan]?.some(below => below.column === entry.column && below.continuesMerge)) {
+                    rowSpan++;
+                }
+
+                tableCells.push({
+                    content: await this.convertBlocks(entry.cell),
+                    tableCellStyle: { columnSpan: entry.columnSpan, rowSpan }
+                });
+            }
+            tableRows.push({ tableCells });
+        }
+
+        return { table: { columns, rows: rows.length, tableRows } };
+    }
+
+    async readFootnotes(footnotesXml) {
+        if (!footnotesXml) return;
+
+        for (const footnote of footnotesXml.getElementsByTagName('w:footnote')) {
+            // Separator footnotes only hold the line drawn above the notes.
+            if (footnote.getAttribute('w:type')) continue;
+            this.footnotes[footnote.getAttribute('w:id')] = { content: await this.convertBlocks(footnote) };
+        }
+    }
+
+    async convertBlocks(container) {
+        const content = [];
+
+        for (const child of childElements(container)) {
+            if (child.localName === 'p') {
+                content.push(await this.createParagraph(child));
+            } else if (child.localName === 'tbl') {
+                content.push(await this.createTable(child));
+            } else if (child.localName === 'sdt') {
+                content.push(...await this.convertBlocks(firstChild(child, 'sdtContent')));
+            }
+        }
+
+        return content;
+    }
+}
+
+export async function readDocxDocument(file, { JSZip = globalThis.JSZip, documentId = null } = {}) {
+    const zip = await JSZip.loadAsync(file);
+    const documentXml = await readXml(zip, 'word/document.xml');
+    if (!documentXml) {
+        throw new Error('This file is not a valid .docx document');
+    }
+
+    const builder = new DocxDocumentBuilder(zip, {
+        styleNames: parseStyleNames(await readXml(zip, 'word/styles.xml')),
+        lists: parseLists(await readXml(zip, 'word/numbering.xml')),
+        relationships: parseRelationships(await readXml(zip, 'word/_rels/document.xml.rels'))
+    });
+
+    await builder.readFootnotes(await readXml(zip, 'word/footnotes.xml'));
+
+    const body = documentXml.getElementsByTagName('w:body')[0];
+    const coreXml = await readXml(zip, 'docProps/core.xml');
+    const coreTitle = coreXml?.getElementsByTagName('dc:title')[0]?.textContent.trim();
+
+    return {
+        documentId,
+        sourceUrl: null,
+        title: coreTitle || (file.name || 'Document').replace(/\.docx$/i, ''),
+        body: { content: await builder.convertBlocks(body) },
+        inlineObjects: builder.inlineObjects,
+        footnotes: builder.footnotes,
+        lists: builder.lists
+    };
+}
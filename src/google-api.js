@@ -0,0 +1,207 @@
+// Google Docs and Drive access over plain fetch, for environments without the
+// gapi client library (the command line). The folder walk is shared with the
+// web app, which passes in its own gapi-based file listing.
+
+export const GOOGLE_DOC_MIME_TYPE = 'application/vnd.google-apps.document';
+export const GOOGLE_FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+export const GOOGLE_SHORTCUT_MIME_TYPE = 'application/vnd.google-apps.shortcut';
+
+export const SUGGESTIONS_VIEW_MODES = {
+    accept: 'PREVIEW_SUGGESTIONS_ACCEPTED',
+    reject: 'PREVIEW_WITHOUT_SUGGESTIONS',
+    show: 'SUGGESTIONS_INLINE'
+};
+
+export const COMMENT_FIELDS = 'nextPageToken,comments(content,author(displayName),createdTime,resolved,deleted,quotedFileContent,replies(content,author(displayName),createdTime,deleted))';
+
+// The metadata kept for every doc in a folder; it fills the columns of the
+// database export.
+export const DRIVE_FILE_FIELDS = 'id,name,createdTime,modifiedTime,description,webViewLink,owners(displayName,emailAddress),lastModifyingUser(displayName,emailAddress)';
+
+const DOCS_API_URL = 'https://docs.googleapis.com';
+const DRIVE_API_URL = 'https://www.googleapis.com';
+
+function quoteQueryValue(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// modifiedAfter is a YYYY-MM-DD day in the local time zone, while Drive
+// compares modifiedTime in UTC, so the filter starts at local midnight.
+function getDayStart(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Narrows the docs of a folder listing: any of the include terms, none of
+// the exclude terms (Drive matches names by word prefix), and only docs
+// modified on or after a day. Subfolders are never filtered.
+export function buildDocumentFilterQuery({ include = [], exclude = [], modifiedAfter = null } = {}) {
+    const conditions = [];
+
+    if (include.length > 0) {
+        conditions.push(`(${include.map(term => `name contains ${quoteQueryValue(term)}`).join(' or ')})`);
+    }
+    exclude.forEach(term => conditions.push(`not name contains ${quoteQueryValue(term)}`));
+    if (modifiedAfter) {
+        conditions.push(`modifiedTime >= ${quoteQueryValue(getDayStart(modifiedAfter))}`);
+    }
+
+    return conditions.join(' and ');
+}
+
+export function hasDocumentFilters({ include = [], exclude = [], modifiedAfter = null } = {}) {
+    return include.length > 0 || exclude.length > 0 || Boolean(modifiedAfter);
+}
+
+// Like Drive's `name contains`: the term has to start a word of the name,
+// so "port" matches "Port plan" and "Q3 port" but not "Report".
+function matchesNameTerm(name, term) {
+    const lowerName = name.toLowerCase();
+    const lowerTerm = term.toLowerCase();
+    for (let index = lowerName.indexOf(lowerTerm); index !== -1; index = lowerName.indexOf(lowerTerm, index + 1)) {
+        if (index === 0 || /[^\p{L}\p{N}]/u.test(lowerName[index - 1])) return true;
+    }
+    return false;
+}
+
+// Shortcuts are listed whatever their name, so docs reached through one are
+// checked against the same rules here.
+export function matchesDocumentFilters(file, { include = [], exclude = [], modifiedAfter = null } = {}) {
+    if (include.length > 0 && !include.some(term => matchesNameTerm(file.name, term))) return false;
+    if (exclude.some(term => matchesNameTerm(file.name, term))) return false;
+    if (modifiedAfter && file.modifiedTime && new Date(file.modifiedTime) < new Date(getDayStart(modifiedAfter))) return false;
+    return true;
+}
+
+export async function listDocsInFolder(queryDriveFiles, folderId, { maxDepth = 0, folderPath = [], visited = new Set(), filters = {} } = {}) {
+    // A folder can be reached more than once through shortcuts or multiple
+    // parents, so every folder and doc is only visited once per run.
+    if (visited.has(folderId)) {
+        return [];
+    }
+    visited.add(folderId);
+
+    const filterQuery = buildDocumentFilterQuery(filters);
+    const docQuery = filterQuery
+        ? `(mimeType='${GOOGLE_DOC_MIME_TYPE}' and ${filterQuery})`
+        : `mimeType='${GOOGLE_DOC_MIME_TYPE}'`;
+    const entries = await queryDriveFiles({
+        q: `'${folderId}' in parents and (${docQuery} or mimeType='${GOOGLE_FOLDER_MIME_TYPE}' or mimeType='${GOOGLE_SHORTCUT_MIME_TYPE}') and trashed=false`,
+        fields: `files(${DRIVE_FILE_FIELDS},mimeType,shortcutDetails(targetId,targetMimeType))`,
+        orderBy: 'folder,name'
+    });
+
+    const docs = [];
+    for (const entry of entries) {
+        const file = entry.mimeType === GOOGLE_SHORTCUT_MIME_TYPE && entry.shortcutDetails
+            ? { ...entry, id: entry.shortcutDetails.targetId, mimeType: entry.shortcutDetails.targetMimeType }
+            : entry;
+
+        if (file.mimeType === GOOGLE_DOC_MIME_TYPE) {
+            if (visited.has(file.id) || (entry !== file && !matchesDocumentFilters(file, filters))) continue;
+            visited.add(file.id);
+            docs.push({ ...file, folderPath });
+        } else if (file.mimeType === GOOGLE_FOLDER_MIME_TYPE && folderPath.length < maxDepth) {
+            const nestedDocs = await listDocsInFolder(queryDriveFiles, file.id, {
+                maxDepth,
+                folderPath: [...folderPath, file.name],
+                visited,
+                filters
+            });
+            docs.push(...nestedDocs);
+        }
+    }
+
+    return docs;
+}
+
+export class GoogleApiClient {
+    // apiUrl replaces both the Docs and the Drive host, so a single local
+    // server can stand in for Google in tests.
+    constructor({ getAccessToken, apiUrl = null, fetchImpl = null } = {}) {
+        if (!getAccessToken) {
+            throw new Error('A Google access token provider is required');
+        }
+
+        this.getAccessToken = getAccessToken;
+        this.docsApiUrl = (apiUrl || DOCS_API_URL).replace(/\/+$/, '');
+        this.driveApiUrl = (apiUrl || DRIVE_API_URL).replace(/\/+$/, '');
+        this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    }
+
+    async request(url, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) query.append(key, value);
+        });
+
+        const response = await this.fetchImpl(`${url}?${query.toString()}`, {
+            headers: { 'Authorization': `Bearer ${await this.getAccessToken()}` }
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`Google API error: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
+        }
+
+        return response.json();
+    }
+
+    async getDocument(docId, { suggestionsMode = 'accept' } = {}) {
+        return this.request(`${this.docsApiUrl}/v1/documents/${encodeURIComponent(docId)}`, {
+            includeTabsContent: true,
+            suggestionsViewMode: SUGGESTIONS_VIEW_MODES[suggestionsMode] || SUGGESTIONS_VIEW_MODES.accept
+        });
+    }
+
+    async queryDriveFiles(queryParams) {
+        const fields = queryParams.fields.includes('nextPageToken')
+            ? queryParams.fields
+            : `nextPageToken,${queryParams.fields}`;
+        const files = [];
+        let pageToken;
+
+        do {
+            const result = await this.request(`${this.driveApiUrl}/drive/v3/files`, {
+                pageSize: 1000,
+                supportsAllDrives: true,
+                includeItemsFromAllDrives: true,
+                ...queryParams,
+                fields,
+                pageToken
+            });
+            files.push(...(result.files || []));
+            pageToken = result.nextPageToken;
+        } while (pageToken);
+
+        return files;
+    }
+
+    async getFile(fileId, fields = DRIVE_FILE_FIELDS) {
+        return this.request(`${this.driveApiUrl}/drive/v3/files/${encodeURIComponent(fileId)}`, {
+            fields,
+            supportsAllDrives: true
+        });
+    }
+
+    async listDocsInFolder(folderId, options = {}) {
+        return listDocsInFolder(queryParams => this.queryDriveFiles(queryParams), folderId, options);
+    }
+
+    async listComments(docId) {
+        const comments = [];
+        let pageToken;
+
+        do {
+            const result = await this.request(`${this.driveApiUrl}/drive/v3/files/${encodeURIComponent(docId)}/comments`, {
+                fields: COMMENT_FIELDS,
+                pageSize: 100,
+                pageToken
+            });
+            comments.push(...(result.comments || []));
+            pageToken = result.nextPageToken;
+        } while (pageToken);
+
+        return comments;
+    }
+}
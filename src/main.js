@@ -1,5 +1,15 @@
-class DocsToNotionConverter {
+import { NotionClient, NOTION_PROXY_URL, extractNotionPageId } from './notion-client.js';
+import { markdownToNotionBlocks } from './notion-blocks.js';
+import { publishedHtmlToDocument } from './published-html.js';
+import { readDocxDocument } from './docx-reader.js';
+import { DocsConverter } from './converter.js';
+import { PagePreview, getEditedDocumentIds } from './page-preview.js';
+import { DocumentPicker } from './document-picker.js';
+import { SUGGESTIONS_VIEW_MODES, COMMENT_FIELDS, listDocsInFolder, hasDocumentFilters } from './google-api.js';
+
+class DocsToNotionConverter extends DocsConverter {
     constructor() {
+        super();
         this.CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID;
         this.API_KEY = import.meta.env.VITE_GOOGLE_API_KEY;
         this.DISCOVERY_DOCS = [
@@ -7,6 +17,7 @@ class DocsToNotionConverter {
             'https://www.googleapis.com/discovery/v1/apis/drive/v3/rest'
         ];
         this.SCOPES = 'https://www.googleapis.com/auth/documents.readonly https://www.googleapis.com/auth/drive.readonly';
+        this.NOTION_API_URL = import.meta.env.VITE_NOTION_API_URL || NOTION_PROXY_URL;
 
         this.form = document.getElementById('conversionForm');
         this.generateBtn = document.getElementById('generateBtn');
@@ -15,6 +26,14 @@ class DocsToNotionConverter {
         this.status = document.getElementById('status');
         this.progressBar = document.getElementById('progressBar');
         this.progressFill = document.getElementById('progressFill');
+        this.notionSettings = document.getElementById('notionSettings');
+        this.folderSettings = document.getElementById('folderSettings');
+        this.databaseSettings = document.getElementById('databaseSettings');
+        this.pagePreview = new PagePreview(document.getElementById('pagePreview'));
+        this.documentPicker = new DocumentPicker(document.getElementById('documentPicker'));
+        this.docxSettings = document.getElementById('docxSettings');
+        this.urlGroup = document.getElementById('urlGroup');
+        this.docxFiles = [];
 
         this.gapi = null;
         this.isSignedIn = false;
@@ -36,6 +55,23 @@ class DocsToNotionConverter {
             });
         });
 
+        document.querySelectorAll('input[name="outputTarget"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.updateUIForOutputTarget();
+            });
+        });
+
+        document.getElementById('folderAsDatabase').addEventListener('change', () => {
+            this.databaseSettings.classList.toggle('visible', document.getElementById('folderAsDatabase').checked);
+        });
+
+        this.initDocxDropZone();
+
+        document.getElementById('loadNotionPages').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.loadNotionParentOptions();
+        });
+
         await this.initializeGoogleAPI();
     }
 
@@ -104,10 +140,9 @@ class DocsToNotionConverter {
         gapi.client.drive.files.list = async (params) => {
             const queryParams = new URLSearchParams();
             
-            if (params.q) queryParams.append('q', params.q);
-            if (params.fields) queryParams.append('fields', params.fields);
-            if (params.orderBy) queryParams.append('orderBy', params.orderBy);
-            if (params.pageSize) queryParams.append('pageSize', params.pageSize);
+            Object.entries(params).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) queryParams.append(key, value);
+            });
             
             const url = `https://www.googleapis.com/drive/v3/files?${queryParams.toString()}`;
             const token = gapi.client.getToken();
@@ -193,12 +228,57 @@ class DocsToNotionConverter {
         }
     }
 
+    initDocxDropZone() {
+        const dropZone = document.getElementById('dropZone');
+        const fileInput = document.getElementById('docxFiles');
+
+        fileInput.addEventListener('change', () => {
+            this.setDocxFiles(fileInput.files);
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragging');
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('dragging');
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragging');
+            this.setDocxFiles(e.dataTransfer.files);
+        });
+    }
+
+    setDocxFiles(fileList) {
+        this.docxFiles = Array.from(fileList).filter(file => /\.docx$/i.test(file.name));
+
+        const list = document.getElementById('docxFileList');
+        list.innerHTML = '';
+        this.docxFiles.forEach(file => {
+            const item = document.createElement('li');
+            item.textContent = `📝 ${file.name}`;
+            list.appendChild(item);
+        });
+
+        if (fileList.length > this.docxFiles.length) {
+            this.showStatus('Only .docx files can be converted - other files were skipped', 'error');
+        }
+    }
+
     updateUIForSourceType() {
         const sourceType = document.querySelector('input[name="sourceType"]:checked').value;
         const urlLabel = document.getElementById('urlLabel');
         const urlInput = document.getElementById('docUrl');
         const urlHint = document.getElementById('urlHint');
 
+        this.folderSettings.classList.toggle('visible', sourceType === 'drive-folder');
+        this.docxSettings.classList.toggle('visible', sourceType === 'docx-upload');
+        this.urlGroup.classList.toggle('hidden', sourceType === 'docx-upload');
+        urlInput.required = sourceType !== 'docx-upload';
+
         if (sourceType === 'drive-folder') {
             urlLabel.textContent = 'Google Drive Folder Share Link';
             urlInput.placeholder = 'https://drive.google.com/drive/folders/...';
@@ -210,11 +290,67 @@ class DocsToNotionConverter {
         }
     }
 
+    getOutputTarget() {
+        return document.querySelector('input[name="outputTarget"]:checked').value;
+    }
+
+    updateUIForOutputTarget() {
+        this.notionSettings.classList.toggle('visible', this.getOutputTarget() === 'notion-api');
+    }
+
+    createNotionClient() {
+        const token = document.getElementById('notionToken').value.trim();
+        if (!token) {
+            throw new Error('Please enter your Notion integration token');
+        }
+
+        return new NotionClient({ token, baseUrl: this.NOTION_API_URL });
+    }
+
+    async loadNotionParentOptions() {
+        try {
+            const client = this.createNotionClient();
+            this.showStatus('Loading pages shared with your Notion integration...', 'processing');
+
+            const pages = await client.searchPages();
+            const options = document.getElementById('notionParentOptions');
+            options.innerHTML = '';
+
+            pages.forEach(page => {
+                const option = document.createElement('option');
+                option.value = page.url || page.id;
+                option.textContent = this.getNotionPageTitle(page);
+                options.appendChild(option);
+            });
+
+            if (pages.length === 0) {
+                this.showStatus('No pages are shared with this integration yet. Share a page with it in Notion first.', 'error');
+                return;
+            }
+
+            this.showStatus(`Found ${pages.length} pages - pick one in the Parent Notion Page field`, 'success');
+            document.getElementById('notionParent').focus();
+        } catch (error) {
+            this.showStatus(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    getNotionPageTitle(page) {
+        const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+        const title = titleProperty?.title?.map(text => text.plain_text).join('');
+        return title || 'Untitled';
+    }
+
     async processDocument() {
         const docUrl = document.getElementById('docUrl').value;
         const sourceType = document.querySelector('input[name="sourceType"]:checked').value;
 
-        if (sourceType === 'drive-folder') {
+        if (sourceType === 'docx-upload') {
+            if (this.docxFiles.length === 0) {
+                this.showStatus('Please choose at least one .docx file', 'error');
+                return;
+            }
+        } else if (sourceType === 'drive-folder') {
             if (!this.validateGoogleDriveFolderUrl(docUrl)) {
                 this.showStatus('Please enter a valid Google Drive folder share link', 'error');
                 return;
@@ -226,11 +362,24 @@ class DocsToNotionConverter {
             }
         }
 
+        if (this.getOutputTarget() === 'notion-api') {
+            if (!document.getElementById('notionToken').value.trim()) {
+                this.showStatus('Please enter your Notion integration token', 'error');
+                return;
+            }
+            if (!extractNotionPageId(document.getElementById('notionParent').value)) {
+                this.showStatus('Please enter a valid Notion parent page link', 'error');
+                return;
+            }
+        }
+
         try {
             this.setLoading(true);
             this.showProgress(0);
 
-            if (sourceType === 'drive-folder') {
+            if (sourceType === 'docx-upload') {
+                await this.processDocxFiles(this.docxFiles);
+            } else if (sourceType === 'drive-folder') {
                 if (!this.CLIENT_ID || !gapi.client) {
                     throw new Error('Google API configuration is required for folder processing. Please set up your Google API credentials.');
                 }
@@ -273,117 +422,78 @@ class DocsToNotionConverter {
         this.showStatus('Fetching document via Google Docs API...', 'processing');
         this.showProgress(30);
 
-        let response;
-        try {
-            response = await gapi.client.request({
-                path: `https://docs.googleapis.com/v1/documents/${docId}`,
-                method: 'GET',
-                params: { includeTabsContent: true }
-            });
-        } catch (error) {
-            response = await gapi.client.docs.documents.get({
-                documentId: docId
-            });
-        }
-
-        const doc = response.result;
+        const options = this.getConversionOptions();
+        const doc = await this.fetchGoogleDocument(docId, options);
         
         this.showStatus('Analyzing document structure...', 'processing');
         this.showProgress(50);
 
-        const sections = this.extractSectionsFromGoogleDoc(doc);
+        const sections = this.extractSectionsFromGoogleDoc(doc, options);
         
         if (sections.length === 0) {
             throw new Error('No content sections found in the document');
         }
 
+        if (options.includeComments) {
+            this.showStatus('Fetching comments...', 'processing');
+            await this.addDocumentComments(sections, docId);
+        }
+
         this.showStatus(`Creating ${sections.length} Notion pages...`, 'processing');
         this.showProgress(70);
 
         const notionPages = this.createNotionPagesFromSections(sections);
 
-        this.showStatus('Creating workspace bundle...', 'processing');
-        this.showProgress(90);
+        await this.deliverPages(notionPages);
+    }
 
-        const markdownFiles = this.createMarkdownFiles(notionPages);
+    getFolderDepthLimit() {
+        const depth = parseInt(document.getElementById('folderDepth').value, 10);
+        return Number.isNaN(depth) ? 0 : Math.max(0, depth);
+    }
 
-        this.showStatus('Workspace generated successfully! Download starting...', 'success');
-        this.showProgress(100);
+    getDocumentFilters() {
+        const splitTerms = (id) => document.getElementById(id).value
+            .split(',')
+            .map(term => term.trim())
+            .filter(Boolean);
 
-        await this.generateDownload(markdownFiles);
+        return {
+            include: splitTerms('includeNames'),
+            exclude: splitTerms('excludeNames'),
+            modifiedAfter: document.getElementById('modifiedAfter').value || null
+        };
+    }
+
+    async listDocsInFolder(folderId, options = {}) {
+        return listDocsInFolder(queryParams => this.queryDriveFiles(queryParams), folderId, options);
     }
 
-    async listDocsInFolder(folderId) {
+    async queryDriveFiles(queryParams) {
         try {
             if (!this.isSignedIn || !gapi.client.getToken()) {
                 throw new Error('Authentication required. Please sign in to access Drive folders.');
             }
-            
-            const queryParams = {
-                q: `'${folderId}' in parents and mimeType='application/vnd.google-apps.document' and trashed=false`,
-                fields: 'files(id,name,createdTime)',
-                orderBy: 'name'
-            };
-            
-            let response;
-            if (gapi.client.drive && gapi.client.drive.files && gapi.client.drive.files.list) {
-                response = await gapi.client.drive.files.list(queryParams);
-            } else {
-                const token = gapi.client.getToken();
-                if (!token || !token.access_token) {
-                    throw new Error('No valid access token available. Please sign in again.');
-                }
-                
-                const urlParams = new URLSearchParams();
-                Object.entries(queryParams).forEach(([key, value]) => {
-                    urlParams.append(key, value);
-                });
-                
-                const apiUrl = `https://www.googleapis.com/drive/v3/files?${urlParams.toString()}`;
-                const fetchResponse = await fetch(apiUrl, {
-                    method: 'GET',
-                    headers: {
-                        'Authorization': `Bearer ${token.access_token}`,
-                        'Content-Type': 'application/json',
-                    }
-                });
-                
-                if (!fetchResponse.ok) {
-                    const errorText = await fetchResponse.text();
-                    
-                    if (fetchResponse.status === 403 && errorText.includes('Drive API has not been used')) {
-                        throw new Error('DRIVE_API_NOT_ENABLED');
-                    }
-                    
-                    throw new Error(`API request failed: ${fetchResponse.status} ${fetchResponse.statusText}`);
-                }
-                
-                const responseData = await fetchResponse.json();
-                response = {
-                    result: responseData,
-                    status: fetchResponse.status,
-                    statusText: fetchResponse.statusText
-                };
-            }
 
-            if (response.status === 403) {
-                const errorBody = response.body ? JSON.parse(response.body) : response.result;
-                throw new Error('Access denied. Please ensure you have signed in and the folder is shared with your account.');
-            }
-            
-            let files = [];
-            if (response && response.result) {
-                if (response.result.files) {
-                    files = response.result.files;
-                } else if (Array.isArray(response.result)) {
-                    files = response.result;
-                }
-            }
+            const fields = queryParams.fields.includes('nextPageToken')
+                ? queryParams.fields
+                : `nextPageToken,${queryParams.fields}`;
+            const files = [];
+            let pageToken;
+
+            do {
+                const result = await this.requestDriveFilesPage({
+                    pageSize: 1000,
+                    supportsAllDrives: true,
+                    includeItemsFromAllDrives: true,
+                    ...queryParams,
+                    fields,
+                    pageToken
+                });
+                files.push(...result.files);
+                pageToken = result.nextPageToken;
+            } while (pageToken);
 
-            if (!Array.isArray(files)) {
-                throw new Error('Invalid response format: files is not an array');
-            }
-            
             return files;
         } catch (error) {
             if (error.message === 'DRIVE_API_NOT_ENABLED') {
@@ -398,7 +508,83 @@ class DocsToNotionConverter {
         }
     }
 
+    async requestDriveFilesPage(queryParams) {
+        let response;
+        if (gapi.client.drive && gapi.client.drive.files && gapi.client.drive.files.list) {
+            response = await gapi.client.drive.files.list(queryParams);
+        } else {
+            const token = gapi.client.getToken();
+            if (!token || !token.access_token) {
+                throw new Error('No valid access token available. Please sign in again.');
+            }
+            
+            const urlParams = new URLSearchParams();
+            Object.entries(queryParams).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) urlParams.append(key, value);
+            });
+            
+            const apiUrl = `https://www.googleapis.com/drive/v3/files?${urlParams.toString()}`;
+            const fetchResponse = await fetch(apiUrl, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${token.access_token}`,
+                    'Content-Type': 'application/json',
+                }
+            });
+            
+            if (!fetchResponse.ok) {
+                const errorText = await fetchResponse.text();
+                
+                if (fetchResponse.status === 403 && errorText.includes('Drive API has not been used')) {
+                    throw new Error('DRIVE_API_NOT_ENABLED');
+                }
+                
+                throw new Error(`API request failed: ${fetchResponse.status} ${fetchResponse.statusText}`);
+            }
+            
+            const responseData = await fetchResponse.json();
+            response = {
+                result: responseData,
+                status: fetchResponse.status,
+                statusText: fetchResponse.statusText
+            };
+        }
+
+        if (response.status === 403) {
+            const errorBody = response.body ? JSON.parse(response.body) : response.result;
+            throw new Error('Access denied. Please ensure you have signed in and the folder is shared with your account.');
+        }
+        
+        let files = [];
+        if (response && response.result) {
+            if (response.result.files) {
+                files = response.result.files;
+            } else if (Array.isArray(response.result)) {
+                files = response.result;
+            }
+        }
+
+        if (!Array.isArray(files)) {
+            throw new Error('Invalid response format: files is not an array');
+        }
+        
+        return {
+            files,
+            nextPageToken: response.result?.nextPageToken
+        };
+    }
+
     async processFolderWithGoogleAPI(folderId) {
+        const databaseColumns = this.getDatabaseColumns();
+        if (databaseColumns && this.getOutputTarget() === 'notion-api') {
+            throw new Error('A database export is only available as a .zip download for Notion\'s Import');
+        }
+
+        const previousManifest = await this.readPreviousManifest();
+        if (previousManifest && this.getOutputTarget() === 'notion-api') {
+            throw new Error('Updating an earlier export only works for a regular .zip download');
+        }
+
         this.showStatus('Authenticating with Google...', 'processing');
         this.showProgress(10);
 
@@ -411,29 +597,54 @@ class DocsToNotionConverter {
             }
         }
 
-        this.showStatus('Listing documents in folder...', 'processing');
+        this.showStatus('Listing documents in folder and subfolders...', 'processing');
         this.showProgress(20);
 
-        const docs = await this.listDocsInFolder(folderId);
+        const filters = this.getDocumentFilters();
+        const listedDocs = await this.listDocsInFolder(folderId, { maxDepth: this.getFolderDepthLimit(), filters });
         
-        if (docs.length === 0) {
-            throw new Error('No Google Docs found in the specified folder');
+        if (listedDocs.length === 0) {
+            throw new Error(hasDocumentFilters(filters)
+                ? 'No Google Docs in the specified folder match the filters'
+                : 'No Google Docs found in the specified folder');
         }
 
-        this.showStatus(`Processing ${docs.length} documents...`, 'processing');
+        this.showStatus(`Found ${listedDocs.length} documents - choose the ones to convert below`, 'processing');
+        const docs = await this.documentPicker.open(listedDocs);
+        if (!docs) {
+            this.hideStatus();
+            return;
+        }
+
+        let resync = null;
+        let folderDocs = docs;
+        if (previousManifest) {
+            // Docs left out by the filters are still in the folder and must not count as removed.
+            folderDocs = hasDocumentFilters(filters)
+                ? await this.listDocsInFolder(folderId, { maxDepth: this.getFolderDepthLimit() })
+                : listedDocs;
+            resync = this.planResync(docs, previousManifest, folderDocs);
+        }
+        const docsToProcess = resync ? [...resync.added, ...resync.changed] : docs;
+
+        this.showStatus(`Processing ${docsToProcess.length} documents...`, 'processing');
         this.showProgress(30);
 
         const allSections = [];
-        const progressStep = 60 / docs.length;
+        const progressStep = 60 / Math.max(docsToProcess.length, 1);
         
-        for (let i = 0; i < docs.length; i++) {
-            const doc = docs[i];
+        for (let i = 0; i < docsToProcess.length; i++) {
+            const doc = docsToProcess[i];
             
-            this.showStatus(`Processing "${doc.name}" (${i + 1}/${docs.length})...`, 'processing');
+            this.showStatus(`Processing "${doc.name}" (${i + 1}/${docsToProcess.length})...`, 'processing');
             this.showProgress(30 + (i * progressStep));
 
             try {
                 const docSections = await this.processDocumentById(doc.id, doc.name);
+
+                if (resync && resync.changed.includes(doc) && this.isUnchangedRevision(resync, doc, docSections)) {
+                    continue;
+                }
                 
                 if (docSections.length === 0) {
                     allSections.push({
@@ -441,9 +652,14 @@ class DocsToNotionConverter {
                         content: `This document appears to be empty or contains no recognizable content.`,
                         level: 1,
                         parentTab: 'Document',
-                        sourceDocument: doc.name
+                        documentId: doc.id,
+                        sourceDocument: doc.name,
+                        folderPath: doc.folderPath
                     });
                 } else {
+                    docSections.forEach(section => {
+                        section.folderPath = doc.folderPath;
+                    });
                     allSections.push(...docSections);
                 }
             } catch (error) {
@@ -452,12 +668,14 @@ class DocsToNotionConverter {
                     content: `Failed to process this document: ${error.message}\n\nThis could be due to:\n- Document access restrictions\n- Document format not supported\n- Network connectivity issues\n\nPlease check the document permissions and try again.`,
                     level: 1,
                     parentTab: 'Error',
-                    sourceDocument: doc.name
+                    documentId: doc.id,
+                    sourceDocument: doc.name,
+                    folderPath: doc.folderPath
                 });
             }
         }
 
-        if (allSections.length === 0) {
+        if (allSections.length === 0 && !resync) {
             throw new Error('No content sections found in any of the documents');
         }
 
@@ -465,35 +683,41 @@ class DocsToNotionConverter {
         this.showProgress(90);
 
         const notionPages = this.createNotionPagesFromSections(allSections);
+        const database = databaseColumns && {
+            name: await this.fetchFolderName(folderId) || 'Documents',
+            documents: folderDocs,
+            columns: databaseColumns
+        };
 
-        this.showStatus('Creating workspace bundle...', 'processing');
-        this.showProgress(95);
-
-        const markdownFiles = this.createMarkdownFilesFromFolder(notionPages);
-
-        this.showStatus('Workspace generated successfully! Download starting...', 'success');
-        this.showProgress(100);
+        await this.deliverPages(notionPages, { fromFolder: true, database, documents: docs, resync });
+    }
 
-        await this.generateDownload(markdownFiles);
+    async readPreviousManifest() {
+        const file = document.getElementById('previousManifest').files[0];
+        return file ? this.parseManifest(await file.text()) : null;
     }
 
-    async processDocumentById(docId, docName = null) {
-        let response;
-        
+    async fetchFolderName(folderId) {
         try {
-            response = await gapi.client.request({
-                path: `https://docs.googleapis.com/v1/documents/${docId}`,
+            const response = await gapi.client.request({
+                path: `https://www.googleapis.com/drive/v3/files/${folderId}`,
                 method: 'GET',
-                params: { includeTabsContent: true }
+                params: { fields: 'name', supportsAllDrives: true }
             });
+            return response.result?.name || null;
         } catch (error) {
-            response = await gapi.client.docs.documents.get({
-                documentId: docId
-            });
+            return null;
         }
+    }
 
-        const doc = response.result;
-        const sections = this.extractSectionsFromGoogleDoc(doc);
+    async processDocumentById(docId, docName = null) {
+        const options = this.getConversionOptions();
+        const doc = await this.fetchGoogleDocument(docId, options);
+        const sections = this.extractSectionsFromGoogleDoc(doc, options);
+
+        if (options.includeComments) {
+            await this.addDocumentComments(sections, docId);
+        }
         
         const finalDocName = docName || doc.title || `Document ${docId}`;
         sections.forEach(section => {
@@ -503,6 +727,56 @@ class DocsToNotionConverter {
         return sections;
     }
 
+    async fetchGoogleDocument(docId, options = {}) {
+        const suggestionsViewMode = SUGGESTIONS_VIEW_MODES[options.suggestionsMode] || SUGGESTIONS_VIEW_MODES.accept;
+        let response;
+
+        try {
+            response = await gapi.client.request({
+                path: `https://docs.googleapis.com/v1/documents/${docId}`,
+                method: 'GET',
+                params: { includeTabsContent: true, suggestionsViewMode }
+            });
+        } catch (error) {
+            response = await gapi.client.docs.documents.get({
+                documentId: docId,
+                suggestionsViewMode
+            });
+        }
+
+        return response.result;
+    }
+
+    // Comments are optional, so a failure to load them leaves a note on the
+    // document's first page instead of failing the conversion.
+    async addDocumentComments(sections, docId) {
+        try {
+            this.attachComments(sections, await this.fetchDocumentComments(docId));
+        } catch (error) {
+            if (sections.length > 0) {
+                const message = error.result?.error?.message || error.message || 'unknown error';
+                sections[0].content += `\n\n*[Comments could not be loaded: ${message}]*`;
+            }
+        }
+    }
+
+    async fetchDocumentComments(docId) {
+        const comments = [];
+        let pageToken = null;
+
+        do {
+            const response = await gapi.client.request({
+                path: `https://www.googleapis.com/drive/v3/files/${docId}/comments`,
+                method: 'GET',
+                params: { fields: COMMENT_FIELDS, pageSize: 100, ...(pageToken ? { pageToken } : {}) }
+            });
+            comments.push(...(response.result.comments || []));
+            pageToken = response.result.nextPageToken;
+        } while (pageToken);
+
+        return comments;
+    }
+
     async processWithFallbackMethod(docId) {
         this.showStatus('Using fallback method (HTML parsing) - results may be less accurate', 'processing');
         this.showProgress(15);
@@ -528,390 +802,216 @@ class DocsToNotionConverter {
         this.showProgress(70);
         const notionPages = this.createNotionPagesFromSections(docContent);
 
-        this.showStatus('Creating workspace bundle...', 'processing');
-        this.showProgress(90);
-        const markdownFiles = this.createMarkdownFiles(notionPages);
-
-        this.showStatus('Workspace generated successfully! Download starting...', 'success');
-        this.showProgress(100);
-
-        await this.generateDownload(markdownFiles);
-    }
-
-    extractSectionsFromGoogleDoc(doc) {
-        const sections = [];
-
-        if (doc.tabs && doc.tabs.length > 0) {
-            const allTabs = [];
-            
-            for (const mainTab of doc.tabs) {
-                allTabs.push(mainTab);
-                if (mainTab.childTabs && mainTab.childTabs.length > 0) {
-                    allTabs.push(...mainTab.childTabs);
-                }
-            }
-            
-            for (let tabIndex = 0; tabIndex < allTabs.length; tabIndex++) {
-                const tab = allTabs[tabIndex];
-                const tabSections = this.extractSectionsFromTab(tab, tabIndex, doc.title);
-                sections.push(...tabSections);
-            }
-        } else if (doc.body) {
-            const bodySections = this.extractSectionsFromBody(doc.body, doc.title || 'Document');
-            sections.push(...bodySections);
-        }
-
-        return sections;
+        await this.deliverPages(notionPages);
     }
 
-    extractSectionsFromTab(tab, tabIndex, documentTitle = null) {
-        const tabTitle = tab.tabProperties?.title || `Tab ${tabIndex + 1}`;
-        
-        let body = null;
-        if (tab.documentTab && tab.documentTab.body) {
-            body = tab.documentTab.body;
-        } else if (tab.body) {
-            body = tab.body;
-        } else {
-            return [];
-        }
+    async processDocxFiles(files) {
+        this.showStatus('Reading Word documents...', 'processing');
+        this.showProgress(10);
 
-        const effectiveTabName = (tabTitle === 'Tab 1' && documentTitle) ? documentTitle : tabTitle;
-        return this.extractSectionsFromBody(body, effectiveTabName);
-    }
+        const options = this.getConversionOptions();
+        const allSections = [];
+        const progressStep = 60 / files.length;
 
-    extractSectionsFromBody(body, parentName) {
-        const sections = [];
-        let currentSection = null;
-        let allContent = '';
+        for (let i = 0; i < files.length; i++) {
+            const file = files[i];
+            const docName = file.name.replace(/\.docx$/i, '');
 
-        if (!body || !body.content) {
-            return sections;
-        }
+            this.showStatus(`Converting "${file.name}" (${i + 1}/${files.length})...`, 'processing');
+            this.showProgress(10 + (i * progressStep));
 
-        for (const element of body.content) {
-            if (element.paragraph) {
-                const paragraph = element.paragraph;
-                const formattedText = this.extractFormattedTextFromParagraph(paragraph);
-                
-                if (!formattedText.trim()) continue;
+            try {
+                const doc = await readDocxDocument(file, { documentId: `docx${i + 1}` });
+                const docSections = this.extractSectionsFromGoogleDoc(doc, options);
 
-                allContent += formattedText + '\n';
-                const headingLevel = this.getHeadingLevel(paragraph);
-                
-                if (headingLevel > 0) {
-                    if (currentSection && currentSection.content.trim()) {
-                        sections.push(currentSection);
-                    }
-                    
-                    currentSection = {
-                        title: formattedText.trim(),
-                        content: '',
-                        level: headingLevel,
-                        parentTab: parentName
-                    };
-                } else if (currentSection) {
-                    currentSection.content += formattedText + '\n';
-                } else {
-                    currentSection = {
-                        title: parentName,
-                        content: formattedText + '\n',
+                if (docSections.length === 0) {
+                    allSections.push({
+                        title: docName,
+                        content: `This document appears to be empty or contains no recognizable content.`,
                         level: 1,
-                        parentTab: parentName
-                    };
-                }
-            } else if (element.table) {
-                const tableMarkdown = this.extractTableFromElement(element.table);
-                allContent += tableMarkdown + '\n\n';
-                
-                if (currentSection) {
-                    currentSection.content += tableMarkdown + '\n\n';
+                        parentTab: 'Document',
+                        sourceDocument: docName
+                    });
                 } else {
-                    currentSection = {
-                        title: parentName,
-                        content: tableMarkdown + '\n\n',
-                        level: 1,
-                        parentTab: parentName
-                    };
+                    docSections.forEach(section => {
+                        section.sourceDocument = docName;
+                    });
+                    allSections.push(...docSections);
                 }
+            } catch (error) {
+                allSections.push({
+                    title: `Error - ${docName}`,
+                    content: `Failed to read this file: ${error.message}\n\nMake sure it is a Word (.docx) document and not password protected.`,
+                    level: 1,
+                    parentTab: 'Error',
+                    sourceDocument: docName
+                });
             }
         }
 
-        if (currentSection && currentSection.content.trim()) {
-            sections.push(currentSection);
-        }
+        this.showStatus(`Creating ${allSections.length} Notion pages...`, 'processing');
+        this.showProgress(70);
 
-        if (sections.length === 0 && allContent.trim()) {
-            sections.push({
-                title: parentName,
-                content: allContent.trim(),
-                level: 1,
-                parentTab: parentName
-            });
-        }
+        const notionPages = this.createNotionPagesFromSections(allSections);
 
-        if (sections.length === 1 && sections[0].title === parentName && parentName.startsWith('Tab ')) {
-            const meaningfulName = sections[0].sourceDocument || parentName.replace('Tab ', 'Document ');
-            sections[0].title = meaningfulName;
-        }
-        
-        return sections;
+        await this.deliverPages(notionPages, { fromFolder: files.length > 1 });
     }
 
-    extractFormattedTextFromParagraph(paragraph) {
-        let formattedText = '';
-        
-        const bullet = this.getBulletInfo(paragraph);
-        if (bullet) {
-            formattedText += bullet;
-        }
-        
-        if (paragraph.elements) {
-            for (const element of paragraph.elements) {
-                if (element.textRun && element.textRun.content) {
-                    let text = element.textRun.content;
-                    
-                    if (element.textRun.textStyle) {
-                        text = this.applyTextFormatting(text, element.textRun.textStyle);
-                    }
-                    
-                    formattedText += text;
-                }
-            }
-        }
-        
-        return formattedText;
+    getConversionOptions() {
+        return {
+            splitLevel: parseInt(document.getElementById('splitLevel').value, 10),
+            includeComments: document.getElementById('includeComments').checked,
+            suggestionsMode: document.getElementById('suggestionsMode').value,
+            tocMode: document.getElementById('tocMode').value,
+            splitAtPageBreaks: document.getElementById('splitAtPageBreaks').checked,
+            linkPeople: document.getElementById('linkPeople').checked,
+            keepTextStyling: document.getElementById('keepTextStyling').checked
+        };
     }
 
-    getBulletInfo(paragraph) {
-        if (paragraph.bullet) {
-            const listProperties = paragraph.bullet.listProperties;
-            const nestingLevel = paragraph.bullet.nestingLevel || 0;
-            
-            if (listProperties && listProperties.type === 'ORDERED') {
-                return '  '.repeat(nestingLevel) + '1. ';
-            } else {
-                return '  '.repeat(nestingLevel) + '- ';
-            }
+    // The columns picked for the database export, or null for regular pages.
+    getDatabaseColumns() {
+        if (!document.getElementById('folderAsDatabase').checked) {
+            return null;
         }
-        return '';
-    }
 
-    applyTextFormatting(text, textStyle) {
-        let formatted = text;
-        
-        if (textStyle.bold) {
-            formatted = `**${formatted}**`;
-        }
-        
-        if (textStyle.italic) {
-            formatted = `*${formatted}*`;
-        }
-        
-        if (textStyle.underline) {
-            formatted = `<u>${formatted}</u>`;
-        }
-        
-        if (textStyle.strikethrough) {
-            formatted = `~~${formatted}~~`;
-        }
-        
-        if (textStyle.link && textStyle.link.url) {
-            formatted = `[${formatted}](${textStyle.link.url})`;
-        }
-        
-        return formatted;
+        return Array.from(document.querySelectorAll('input[name="databaseColumns"]:checked'))
+            .map(input => input.value);
     }
 
-    extractTableFromElement(table) {
-        let markdown = '';
-        
-        if (table.tableRows) {
-            const rows = table.tableRows;
-            
-            for (let i = 0; i < rows.length; i++) {
-                const row = rows[i];
-                let rowMarkdown = '|';
-                
-                if (row.tableCells) {
-                    for (const cell of row.tableCells) {
-                        let cellContent = '';
-                        if (cell.content) {
-                            for (const element of cell.content) {
-                                if (element.paragraph) {
-                                    cellContent += this.extractTextFromParagraph(element.paragraph);
-                                }
-                            }
-                        }
-                        rowMarkdown += ` ${cellContent.trim()} |`;
-                    }
-                }
-                
-                markdown += rowMarkdown + '\n';
-                
-                if (i === 0 && row.tableCells) {
-                    let separator = '|';
-                    for (let j = 0; j < row.tableCells.length; j++) {
-                        separator += ' --- |';
-                    }
-                    markdown += separator + '\n';
-                }
+    async deliverPages(notionPages, { fromFolder = false, database = null, documents = null, resync = null } = {}) {
+        let editedDocumentIds = new Set();
+        if (document.getElementById('previewPages').checked) {
+            this.showStatus('Review the planned pages below, then confirm to continue', 'processing');
+            const confirmedPages = await this.pagePreview.open(notionPages, {
+                fromFolder,
+                confirmLabel: this.getOutputTarget() === 'notion-api' ? '⚡ Create in Notion' : '📦 Build .zip'
+            });
+            if (!confirmedPages) {
+                this.hideStatus();
+                return;
             }
+            editedDocumentIds = getEditedDocumentIds(notionPages, confirmedPages);
+            notionPages = confirmedPages;
         }
-        
-        return markdown;
-    }
 
-    extractTextFromParagraph(paragraph) {
-        let text = '';
-        
-        if (paragraph.elements) {
-            for (const element of paragraph.elements) {
-                if (element.textRun && element.textRun.content) {
-                    text += element.textRun.content;
-                }
-            }
+        const assets = await this.downloadImageAssets(notionPages, {
+            onProgress: (current, total) => this.showStatus(`Downloading images (${current}/${total})...`, 'processing')
+        });
+        const failedImages = Object.values(assets).filter(asset => asset.error);
+        const imageWarning = failedImages.length > 0
+            ? ` ⚠️ ${failedImages.length} image(s) could not be exported and are marked as unavailable in the pages.`
+            : '';
+
+        if (this.getOutputTarget() === 'notion-api') {
+            await this.publishToNotion(notionPages, { fromFolder, assets, imageWarning });
+            return;
         }
-        
-        return text;
-    }
 
-    getHeadingLevel(paragraph) {
-        if (paragraph.paragraphStyle && paragraph.paragraphStyle.namedStyleType) {
-            const styleType = paragraph.paragraphStyle.namedStyleType;
-            
-            switch (styleType) {
-                case 'HEADING_1': return 1;
-                case 'HEADING_2': return 2;
-                case 'HEADING_3': return 3;
-                case 'HEADING_4': return 4;
-                case 'HEADING_5': return 5;
-                case 'HEADING_6': return 6;
-                case 'TITLE': return 1;
-                case 'SUBTITLE': return 2;
-                default: return 0;
-            }
-        }
-        
-        return 0;
-    }
+        this.showStatus('Creating workspace bundle...', 'processing');
+        this.showProgress(fromFolder ? 95 : 90);
+
+        const markdownFiles = this.buildWorkspaceFiles(notionPages, assets, {
+            fromFolder,
+            database,
+            documents,
+            resync,
+            editedDocumentIds,
+            frontMatter: document.getElementById('frontMatter').value,
+            footer: document.getElementById('includeFooter').checked
+        });
 
-    createNotionPagesFromSections(sections) {
-        const pages = [];
-        
-        for (let i = 0; i < sections.length; i++) {
-            const section = sections[i];
-            
-            try {
-                const pageContent = this.createNotionPageFromSection(section);
-                pages.push(pageContent);
-            } catch (error) {
-                pages.push({
-                    title: section.title,
-                    content: `# ${section.title}\n\n${section.content}`,
-                    sourceDocument: section.sourceDocument
-                });
-            }
-        }
+        const changeSummary = resync
+            ? ` ${resync.added.length} added, ${resync.changed.length} changed and ${resync.removed.length} removed document(s) since the last export - see changes.md.`
+            : '';
 
-        return pages;
-    }
+        this.showStatus(`Workspace generated successfully! Download starting...${changeSummary}${imageWarning}`, 'success');
+        this.showProgress(100);
 
-    createNotionPageFromSection(section) {
-        let markdownContent = '';
-        
-        const headerPrefix = '#'.repeat(Math.min(section.level || 1, 6));
-        markdownContent += `${headerPrefix} ${section.title}\n\n`;
-        
-        let content = section.content.trim();
-        
-        content = content
-            .replace(/\n{3,}/g, '\n\n')
-            .replace(/\.([A-Z])/g, '. $1')
-            .replace(/[ \t]{2,}/g, ' ')
-            .trim();
+        await this.generateDownload(markdownFiles);
+    }
 
-        markdownContent += content;
+    async publishToNotion(pages, { fromFolder = false, assets = {}, imageWarning = '' } = {}) {
+        const client = this.createNotionClient();
+        const parentPageId = extractNotionPageId(document.getElementById('notionParent').value);
 
-        if (!markdownContent.endsWith('\n')) {
-            markdownContent += '\n';
-        }
+        this.showStatus('Connecting to Notion...', 'processing');
+        await client.retrievePage(parentPageId);
 
-        return {
-            title: section.title,
-            content: markdownContent,
-            parentTab: section.parentTab,
-            sourceDocument: section.sourceDocument
-        };
-    }
+        const containerPageIds = {};
+        const createdPages = [];
 
-    createMarkdownFiles(pages) {
-        const files = [];
+        const getContainerPage = async (path) => {
+            if (path.length === 0) return parentPageId;
 
-        pages.forEach((page, index) => {
-            if (!page.title || page.title.trim() === '') return;
+            const key = JSON.stringify(path);
+            if (!containerPageIds[key]) {
+                const parentId = await getContainerPage(path.slice(0, -1));
+                const containerPage = await client.createPage(parentId, path[path.length - 1]);
+                containerPageIds[key] = containerPage.id;
+            }
+            return containerPageIds[key];
+        };
 
-            const cleanTitle = page.title
-                .replace(/[^a-zA-Z0-9\s-]/g, '')
-                .replace(/\s+/g, '-')
-                .toLowerCase();
-            
-            const filename = `${cleanTitle}.md`;
+        for (let i = 0; i < pages.length; i++) {
+            const page = pages[i];
+            if (!page.title || page.title.trim() === '') continue;
 
-            let content = page.content;
-            content += `\n\n---\n\n*Converted from Google Docs to Notion on ${new Date().toLocaleDateString()}*`;
+            this.showStatus(`Creating "${page.title}" in Notion (${i + 1}/${pages.length})...`, 'processing');
+            this.showProgress(90 + Math.round((i / pages.length) * 10));
 
-            files.push({
-                name: filename,
-                content: content
-            });
-        });
+            const basePath = fromFolder
+                ? [...(page.folderPath || []), page.sourceDocument || 'Unknown Document', ...(page.parentPath || [])]
+                : [...(page.parentPath || [])];
+            const targetId = await getContainerPage(basePath);
 
-        return files;
-    }
+            const images = {};
+            for (const image of page.images || []) {
+                const asset = assets[image.key];
+                if (!asset || !asset.blob) continue;
 
-    createMarkdownFilesFromFolder(pages) {
-        const files = [];
-        const documentGroups = {};
+                if (!asset.fileUploadId) {
+                    const upload = await client.uploadFile(asset.blob, asset.path.split('/').pop());
+                    asset.fileUploadId = upload.id;
+                }
+                images[`asset://${image.key}`] = { type: 'file_upload', file_upload: { id: asset.fileUploadId } };
+            }
 
-        pages.forEach(page => {
-            if (!page.title || page.title.trim() === '') return;
+            const created = await client.createPage(targetId, page.title, this.createNotionBlocksFromPage(page, images));
+            createdPages.push(created);
 
-            const sourceDoc = page.sourceDocument || 'Unknown Document';
-            if (!documentGroups[sourceDoc]) {
-                documentGroups[sourceDoc] = [];
+            // A page titled like a tab becomes the container for that tab's child tabs.
+            const pageKey = JSON.stringify([...basePath, page.title]);
+            if (!containerPageIds[pageKey]) {
+                containerPageIds[pageKey] = created.id;
             }
-            documentGroups[sourceDoc].push(page);
-        });
+        }
 
-        Object.keys(documentGroups).forEach(docName => {
-            const docPages = documentGroups[docName];
-            
-            const cleanDocName = docName
-                .replace(/[^a-zA-Z0-9\s-]/g, '')
-                .replace(/\s+/g, '-')
-                .toLowerCase();
-
-            docPages.forEach((page, index) => {
-                const cleanTitle = page.title
-                    .replace(/[^a-zA-Z0-9\s-]/g, '')
-                    .replace(/\s+/g, '-')
-                    .toLowerCase();
-                
-                const filename = `${cleanDocName}--${cleanTitle}.md`;
+        this.showStatus(`✅ Created ${createdPages.length} pages in Notion${imageWarning}`, 'success');
+        this.showProgress(100);
 
-                let content = page.content;
-                content += `\n\n---\n\n*Source: ${docName}*\n`;
-                content += `*Converted from Google Docs to Notion on ${new Date().toLocaleDateString()}*`;
+        if (createdPages[0]?.url) {
+            const pageLink = document.createElement('a');
+            pageLink.href = createdPages[0].url;
+            pageLink.target = '_blank';
+            pageLink.textContent = '📋 Open in Notion';
+            pageLink.className = 'download-btn';
 
-                files.push({
-                    name: filename,
-                    content: content
-                });
-            });
-        });
+            this.status.appendChild(document.createElement('br'));
+            this.status.appendChild(pageLink);
+        }
+    }
+
+    createNotionBlocksFromPage(page, images = {}) {
+        // The page title already becomes the Notion page title, so the leading
+        // heading that repeats it is dropped from the body.
+        const lines = page.content.split('\n');
+        const firstLine = lines[0].match(/^#{1,6}\s+(.*)$/);
+        if (firstLine && firstLine[1].trim() === page.title.trim()) {
+            lines.shift();
+        }
 
-        return files;
+        return markdownToNotionBlocks(lines.join('\n'), { images });
     }
 
     async generateDownload(files) {
@@ -959,7 +1059,7 @@ class DocsToNotionConverter {
 
                     if (content && content.length > 100) {
                         if (url.includes('/pub')) {
-                            return this.parseGoogleDocsHTML(content);
+                            return this.parseGoogleDocsHTML(content, docId);
                         } else {
                             return this.parseTextContent(content);
                         }
@@ -973,25 +1073,12 @@ class DocsToNotionConverter {
         throw new Error('Could not access document. Make sure it is published to web or publicly shared.');
     }
 
-    parseGoogleDocsHTML(html) {
+    parseGoogleDocsHTML(html, docId = null) {
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
 
-        doc.querySelectorAll('script, style, meta, link, head').forEach(el => el.remove());
-
-        return this.extractStructuredContent(doc.body);
-    }
-
-    extractStructuredContent(element) {
-        const allText = element.textContent.trim();
-        if (allText) {
-            return [{
-                title: 'Document Content',
-                content: allText,
-                level: 1
-            }];
-        }
-        return [];
+        const publishedDoc = publishedHtmlToDocument(doc, docId);
+        return this.extractSectionsFromGoogleDoc(publishedDoc, this.getConversionOptions());
     }
 
     parseTextContent(text) {
@@ -1005,28 +1092,16 @@ class DocsToNotionConverter {
         return [];
     }
 
-    extractDocId(url) {
-        const match = url.match(/\/document\/d\/([a-zA-Z0-9-_]+)/);
-        if (!match) throw new Error('Invalid Google Docs URL format');
-        return match[1];
-    }
-
     validateGoogleDocsUrl(url) {
         const googleDocsPattern = /^https:\/\/docs\.google\.com\/document\/d\/[a-zA-Z0-9-_]+/;
         return googleDocsPattern.test(url);
     }
 
     validateGoogleDriveFolderUrl(url) {
-        const googleDriveFolderPattern = /^https:\/\/drive\.google\.com\/drive\/folders\/[a-zA-Z0-9-_]+/;
+        const googleDriveFolderPattern = /^https:\/\/drive\.google\.com\/drive\/(u\/\d+\/)?folders\/[a-zA-Z0-9-_]+/;
         return googleDriveFolderPattern.test(url);
     }
 
-    extractFolderId(url) {
-        const match = url.match(/\/folders\/([a-zA-Z0-9-_]+)/);
-        if (!match) throw new Error('Invalid Google Drive folder URL format');
-        return match[1];
-    }
-
     setLoading(loading) {
         this.generateBtn.disabled = loading;
         this.spinner.style.display = loading ? 'inline-block' : 'none';
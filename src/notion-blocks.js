@@ -0,0 +1,408 @@
+const MAX_RICH_TEXT_LENGTH = 2000;
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(([^)\s]+)\)/g;
+
+const INLINE_PATTERNS = [
+    { regex: /^`` ?([\s\S]+?) ?``/, annotations: { code: true }, literal: true },
+    { regex: /^`([^`]+)`/, annotations: { code: true }, literal: true },
+    { regex: /^\*\*\*([\s\S]+?)\*\*\*/, annotations: { bold: true, italic: true } },
+    { regex: /^\*\*([\s\S]+?)\*\*/, annotations: { bold: true } },
+    { regex: /^\*([^*\s][\s\S]*?)\*/, annotations: { italic: true } },
+    { regex: /^~~([\s\S]+?)~~/, annotations: { strikethrough: true } },
+    { regex: /^<u>([\s\S]+?)<\/u>/, annotations: { underline: true } },
+    { regex: /^<mark class="highlight-([a-z_]+)">([\s\S]+?)<\/mark>/, annotations: match => ({ color: match[1] }), group: 2 },
+    // Notion has no superscript or subscript, so the text is kept as is.
+    { regex: /^<(sup|sub)>([\s\S]+?)<\/\1>/, annotations: {}, group: 2 }
+];
+
+function createTextSegments(content, annotations, link) {
+    const segments = [];
+
+    for (let i = 0; i < content.length; i += MAX_RICH_TEXT_LENGTH) {
+        segments.push({
+            type: 'text',
+            text: {
+                content: content.slice(i, i + MAX_RICH_TEXT_LENGTH),
+                link: link ? { url: link } : null
+            },
+            annotations: {
+                bold: false,
+                italic: false,
+                strikethrough: false,
+                underline: false,
+                code: false,
+                color: 'default',
+                ...annotations
+            }
+        });
+    }
+
+    return segments;
+}
+
+export function parseInlineMarkdown(text, annotations = {}, link = null) {
+    const segments = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) {
+            segments.push(...createTextSegments(buffer, annotations, link));
+            buffer = '';
+        }
+    };
+
+    while (i < text.length) {
+        const rest = text.slice(i);
+        let matched = false;
+
+        for (const pattern of INLINE_PATTERNS) {
+            const match = rest.match(pattern.regex);
+            if (!match) continue;
+
+            flush();
+            const patternAnnotations = typeof pattern.annotations === 'function'
+                ? pattern.annotations(match)
+                : pattern.annotations;
+            const nested = { ...annotations, ...patternAnnotations };
+            const content = match[pattern.group || 1];
+            segments.push(...(pattern.literal
+                ? createTextSegments(content, nested, link)
+                : parseInlineMarkdown(content, nested, link)));
+            i += match[0].length;
+            matched = true;
+            break;
+        }
+
+        if (matched) continue;
+
+        const equationMatch = rest.match(/^\$\$([^$]+?)\$\$/);
+        if (equationMatch) {
+            flush();
+            segments.push({ type: 'equation', equation: { expression: equationMatch[1].trim() } });
+            i += equationMatch[0].length;
+            continue;
+        }
+
+        // Notion has no footnotes, so references keep their number in brackets.
+        const footnoteMatch = rest.match(/^\[\^([^\]\s]+)\]/);
+        if (footnoteMatch) {
+            flush();
+            segments.push(...createTextSegments(`[${footnoteMatch[1]}]`, annotations, link));
+            i += footnoteMatch[0].length;
+            continue;
+        }
+
+        const linkMatch = rest.match(/^\[([^\]]*)\]\(([^)\s]+)\)/);
+        if (linkMatch) {
+            flush();
+            // Notion only accepts absolute web links; anything else stays as plain text.
+            const url = /^(https?:|mailto:)/i.test(linkMatch[2]) ? linkMatch[2] : link;
+            segments.push(...parseInlineMarkdown(linkMatch[1] || linkMatch[2], annotations, url));
+            i += linkMatch[0].length;
+            continue;
+        }
+
+        buffer += text[i];
+        i++;
+    }
+
+    flush();
+    return segments;
+}
+
+function textBlock(type, text, extra = {}) {
+    return {
+        object: 'block',
+        type,
+        [type]: {
+            rich_text: parseInlineMarkdown(text),
+            ...extra
+        }
+    };
+}
+
+function splitTableRow(line) {
+    return line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function tableBlock(rows, hasColumnHeader) {
+    const width = Math.max(...rows.map(row => row.length));
+
+    return {
+        object: 'block',
+        type: 'table',
+        table: {
+            table_width: width,
+            has_column_header: hasColumnHeader,
+            has_row_header: false,
+            children: rows.map(row => ({
+                object: 'block',
+                type: 'table_row',
+                table_row: {
+                    cells: Array.from({ length: width }, (_, index) => parseInlineMarkdown(row[index] || ''))
+                }
+            }))
+        }
+    };
+}
+
+function markdownTableBlock(lines) {
+    const rows = lines
+        .filter(line => !/^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/.test(line.trim()))
+        .map(line => splitTableRow(line).map(cell => cell.replace(/<br\s*\/?>/g, '\n')));
+
+    return tableBlock(rows, true);
+}
+
+// Turns the inline HTML of a table cell back into Markdown. Notion cells hold
+// text only, so a nested table becomes lines of cells separated by |.
+function htmlCellToMarkdown(html) {
+    return html
+        .replace(/<\/td>\s*<td[^>]*>/g, ' | ')
+        .replace(/<\/tr>\s*(?=<tr)/g, '\n')
+        .replace(/<br\s*\/?>/g, '\n')
+        .replace(/<\/?strong>/g, '**')
+        .replace(/<\/?em>/g, '*')
+        .replace(/<\/?del>/g, '~~')
+        .replace(/<\/?code>/g, '`')
+        .replace(/<a href="([^"]*)">([\s\S]*?)<\/a>/g, '[$2]($1)')
+        .replace(/<img [^>]*alt="([^"]*)"[^>]*>/g, '$1')
+        .replace(/<(?!\/?u>)[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s*\n\s*/g, '\n')
+        .trim();
+}
+
+// Tables holding another table are written as HTML. Merged cells keep their
+// text in the first slot they cover, as Notion tables cannot merge cells.
+function htmlTableBlock(html) {
+    const rows = [];
+    let depth = 0;
+    let cell = null;
+
+    for (const match of html.matchAll(/<(\/?)(table|tr|td)\b([^>]*)>/g)) {
+        const [tag, closing, name, attributes] = match;
+        if (name === 'table') {
+            depth += closing ? -1 : 1;
+        } else if (depth !== 1) {
+            continue;
+        } else if (name === 'tr' && !closing) {
+            rows.push([]);
+        } else if (name === 'td' && !closing) {
+            cell = {
+                start: match.index + tag.length,
+                colSpan: Number(attributes.match(/colspan="(\d+)"/)?.[1] || 1),
+                rowSpan: Number(attributes.match(/rowspan="(\d+)"/)?.[1] || 1)
+            };
+        } else if (name === 'td' && cell && rows.length > 0) {
+            rows[rows.length - 1].push({ ...cell, text: htmlCellToMarkdown(html.slice(cell.start, match.index)) });
+            cell = null;
+        }
+    }
+
+    const grid = rows.map(() => []);
+    rows.forEach((row, rowIndex) => {
+        let column = 0;
+        row.forEach(({ text, colSpan, rowSpan }) => {
+            while (grid[rowIndex][column] !== undefined) column++;
+            for (let r = rowIndex; r < Math.min(rowIndex + rowSpan, rows.length); r++) {
+                for (let c = column; c < column + colSpan; c++) {
+                    grid[r][c] = r === rowIndex && c === column ? text : '';
+                }
+            }
+            column += colSpan;
+        });
+    });
+
+    return tableBlock(grid.map(row => Array.from(row, text => text || '')), false);
+}
+
+function listItemBlock(marker, text) {
+    const taskMatch = text.match(/^\[([ xX])\]\s+(.*)$/);
+    if (taskMatch && !/^\d/.test(marker)) {
+        return textBlock('to_do', taskMatch[2], { checked: taskMatch[1] !== ' ' });
+    }
+
+    const type = /^\d+[.)]$/.test(marker) ? 'numbered_list_item' : 'bulleted_list_item';
+    return textBlock(type, text);
+}
+
+// Comment threads are written as quotes starting with 💬 and become callouts.
+function quoteBlock(text) {
+    const calloutMatch = text.match(/^💬\s*([\s\S]*)$/u);
+    if (calloutMatch) {
+        return textBlock('callout', calloutMatch[1], { icon: { type: 'emoji', emoji: '💬' } });
+    }
+
+    return textBlock('quote', text);
+}
+
+function imageBlock(url, alt, images) {
+    const source = images[url] || (/^https?:/i.test(url) ? { type: 'external', external: { url } } : null);
+
+    if (!source) {
+        return textBlock('paragraph', `*[Image not available: ${alt || 'untitled image'}]*`);
+    }
+
+    return {
+        object: 'block',
+        type: 'image',
+        image: {
+            ...source,
+            caption: alt ? parseInlineMarkdown(alt) : []
+        }
+    };
+}
+
+// Notion has no inline images, so a line holding images is split into
+// separate paragraph and image blocks.
+function paragraphBlocks(line, images) {
+    const blocks = [];
+    let lastIndex = 0;
+
+    for (const match of line.matchAll(IMAGE_PATTERN)) {
+        const before = line.slice(lastIndex, match.index).trim();
+        if (before) blocks.push(textBlock('paragraph', before));
+        blocks.push(imageBlock(match[2], match[1], images));
+        lastIndex = match.index + match[0].length;
+    }
+
+    const after = line.slice(lastIndex).trim();
+    if (after) blocks.push(textBlock('paragraph', after));
+
+    return blocks;
+}
+
+export function markdownToNotionBlocks(markdown, { images = {} } = {}) {
+    const blocks = [];
+    const lines = markdown.split('\n');
+    let listStack = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        const listMatch = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (listMatch && !/^(-{3,}|\*{3,})$/.test(trimmed)) {
+            // An item nests under the closest preceding item that is indented less.
+            const indent = listMatch[1].replace(/\t/g, '    ').length;
+            const block = listItemBlock(listMatch[2], listMatch[3]);
+
+            while (listStack.length > 0 && listStack[listStack.length - 1].indent >= indent) {
+                listStack.pop();
+            }
+            const parent = listStack[listStack.length - 1]?.block;
+            if (parent) {
+                const parentBody = parent[parent.type];
+                parentBody.children = parentBody.children || [];
+                parentBody.children.push(block);
+            } else {
+                blocks.push(block);
+            }
+            listStack.push({ block, indent });
+            i++;
+            continue;
+        }
+
+        // Blank lines between items (a loose list) keep the list open.
+        if (!trimmed) {
+            i++;
+            continue;
+        }
+
+        listStack = [];
+
+        const fenceMatch = trimmed.match(/^```(\S*)/);
+        if (fenceMatch) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith('```')) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++;
+            blocks.push({
+                object: 'block',
+                type: 'code',
+                code: {
+                    rich_text: createTextSegments(codeLines.join('\n'), {}, null),
+                    language: fenceMatch[1] || 'plain text'
+                }
+            });
+            continue;
+        }
+
+        const headingMatch = trimmed.match(/^(#{1,6})\s+(.*)$/);
+        if (headingMatch) {
+            const level = Math.min(headingMatch[1].length, 3);
+            blocks.push(textBlock(`heading_${level}`, headingMatch[2]));
+            i++;
+            continue;
+        }
+
+        const equationMatch = trimmed.match(/^\$\$([^$]+)\$\$$/);
+        if (equationMatch) {
+            blocks.push({ object: 'block', type: 'equation', equation: { expression: equationMatch[1].trim() } });
+            i++;
+            continue;
+        }
+
+        if (/^(-{3,}|\*{3,})$/.test(trimmed)) {
+            blocks.push({ object: 'block', type: 'divider', divider: {} });
+            i++;
+            continue;
+        }
+
+        if (trimmed.startsWith('|')) {
+            const tableLines = [];
+            while (i < lines.length && lines[i].trim().startsWith('|')) {
+                tableLines.push(lines[i]);
+                i++;
+            }
+            blocks.push(markdownTableBlock(tableLines));
+            continue;
+        }
+
+        if (trimmed.startsWith('<table')) {
+            const tableLines = [];
+            let depth = 0;
+            do {
+                depth += (lines[i].match(/<table\b/g) || []).length - (lines[i].match(/<\/table>/g) || []).length;
+                tableLines.push(lines[i]);
+                i++;
+            } while (i < lines.length && depth > 0);
+            blocks.push(htmlTableBlock(tableLines.join('\n')));
+            continue;
+        }
+
+        if (trimmed.startsWith('>')) {
+            const quoteLines = [];
+            while (i < lines.length && lines[i].trim().startsWith('>')) {
+                quoteLines.push(lines[i].trim().replace(/^>\s?/, ''));
+                i++;
+            }
+            blocks.push(quoteBlock(quoteLines.join('\n')));
+            continue;
+        }
+
+        const footnoteMatch = trimmed.match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+        if (footnoteMatch) {
+            blocks.push(textBlock('paragraph', `[${footnoteMatch[1]}] ${footnoteMatch[2]}`));
+            i++;
+            continue;
+        }
+
+        blocks.push(...paragraphBlocks(trimmed, images));
+        i++;
+    }
+
+    return blocks;
+}
@@ -0,0 +1,144 @@
+const NOTION_VERSION = '2022-06-28';
+const MAX_BLOCKS_PER_REQUEST = 100;
+const MAX_RETRIES = 3;
+
+// Notion's public API does not send CORS headers, so the web app goes
+// through the proxy at /api/notion (api/notion.js, or the Vite dev server)
+// unless VITE_NOTION_API_URL names another one.
+export const DEFAULT_NOTION_API_URL = 'https://api.notion.com/v1';
+export const NOTION_PROXY_URL = '/api/notion';
+
+export class NotionClient {
+    constructor({ token, baseUrl = DEFAULT_NOTION_API_URL, fetchImpl = null } = {}) {
+        if (!token) {
+            throw new Error('A Notion integration token is required');
+        }
+
+        this.token = token;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    }
+
+    async request(path, method = 'GET', body = null) {
+        return this.send(path, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    }
+
+    async send(path, { method, headers = {}, body }, attempt = 0) {
+        const response = await this.fetchImpl(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this.token}`,
+                'Notion-Version': NOTION_VERSION,
+                ...headers
+            },
+            body
+        });
+
+        if (response.status === 429 && attempt < MAX_RETRIES) {
+            const retryAfter = Number(response.headers.get('Retry-After')) || 1;
+            await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+            return this.send(path, { method, headers, body }, attempt + 1);
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`Notion API error: ${response.status} ${response.statusText} - ${errorData.message || 'Unknown error'}`);
+        }
+
+        return response.json();
+    }
+
+    async retrievePage(pageId) {
+        return this.request(`/pages/${pageId}`);
+    }
+
+    async searchPages(query = '') {
+        const pages = [];
+        let cursor;
+
+        do {
+            const data = await this.request('/search', 'POST', {
+                query,
+                filter: { property: 'object', value: 'page' },
+                start_cursor: cursor,
+                page_size: 100
+            });
+            pages.push(...data.results);
+            cursor = data.has_more ? data.next_cursor : undefined;
+        } while (cursor);
+
+        return pages;
+    }
+
+    async createPage(parentPageId, title, blocks = []) {
+        const page = await this.request('/pages', 'POST', {
+            parent: { page_id: parentPageId },
+            properties: {
+                title: {
+                    title: [{ type: 'text', text: { content: title.slice(0, 2000) } }]
+                }
+            }
+        });
+
+        await this.appendBlocks(page.id, blocks);
+        return page;
+    }
+
+    async uploadFile(blob, filename) {
+        const upload = await this.request('/file_uploads', 'POST', {
+            filename,
+            content_type: blob.type || 'application/octet-stream'
+        });
+
+        const form = new FormData();
+        form.append('file', blob, filename);
+
+        return this.send(`/file_uploads/${upload.id}/send`, { method: 'POST', body: form });
+    }
+
+    // Children are sent one nesting level at a time: Notion caps both the
+    // number of blocks per request and how deep a single request may nest.
+    // A table must be created with a row, so it keeps its first one and the
+    // rest are appended to it like any other children.
+    async appendBlocks(parentId, blocks) {
+        for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
+            const batch = blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST);
+            const data = await this.request(`/blocks/${parentId}/children`, 'PATCH', {
+                children: batch.map(block => this.withoutNestedChildren(block))
+            });
+
+            for (let j = 0; j < batch.length; j++) {
+                const children = this.getNestedChildren(batch[j]);
+                if (children.length > 0 && data.results[j]) {
+                    await this.appendBlocks(data.results[j].id, children);
+                }
+            }
+        }
+    }
+
+    getNestedChildren(block) {
+        const children = block[block.type]?.children || [];
+        return block.type === 'table' ? children.slice(1) : children;
+    }
+
+    withoutNestedChildren(block) {
+        if (!block[block.type]?.children) {
+            return block;
+        }
+
+        const { children, ...rest } = block[block.type];
+        return { ...block, [block.type]: block.type === 'table' ? { ...rest, children: children.slice(0, 1) } : rest };
+    }
+}
+
+export function extractNotionPageId(input) {
+    const match = (input || '').replace(/-/g, '').match(/([0-9a-f]{32})(?:[?#]|$)/i);
+    if (!match) return null;
+
+    const id = match[1].toLowerCase();
+    return `${id.slice(0, 8)}-${id.slice(8, 12)}-${id.slice(12, 16)}-${id.slice(16, 20)}-${id.slice(20)}`;
+}
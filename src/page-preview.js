@@ -0,0 +1,444 @@
+import { markdownToNotionBlocks } from './notion-blocks.js';
+
+// Pages are edited as a tree and written back as the ordered list the
+// converter expects: every page follows its parent, and parentPath holds the
+// titles above it. A page belongs to the closest earlier page whose path and
+// title match its parentPath, the same rule the file naming follows. Titles in
+// a parentPath without a page of their own (a folder page) become nodes
+// without a page.
+export function buildPageTree(pages, { fromFolder = false } = {}) {
+    const tree = { title: null, page: null, children: [] };
+    const groups = new Map();
+    const nodes = new Map();
+
+    const getGroup = (page) => {
+        if (!fromFolder) return tree;
+
+        const groupPath = [...(page.folderPath || []), page.sourceDocument || 'Unknown Document'];
+        const key = JSON.stringify(groupPath);
+        if (!groups.has(key)) {
+            const group = { title: groupPath.join(' / '), page: null, group: true, children: [] };
+            groups.set(key, group);
+            tree.children.push(group);
+        }
+        return groups.get(key);
+    };
+
+    const getNode = (group, path) => {
+        if (path.length === 0) return group;
+
+        const key = JSON.stringify([group.title, ...path]);
+        if (!nodes.has(key)) {
+            const node = { title: path[path.length - 1], page: null, children: [] };
+            getNode(group, path.slice(0, -1)).children.push(node);
+            nodes.set(key, node);
+        }
+        return nodes.get(key);
+    };
+
+    pages.forEach(page => {
+        if (!page.title || page.title.trim() === '') return;
+
+        const group = getGroup(page);
+        const parentPath = page.parentPath || [];
+        const node = { title: page.title, page, children: [] };
+
+        getNode(group, parentPath).children.push(node);
+        nodes.set(JSON.stringify([group.title, ...parentPath, page.title]), node);
+    });
+
+    return tree;
+}
+
+// A renamed page also gets the new title in the heading its content starts with.
+export function getNodePage(node) {
+    if (node.title === node.page.title) return node.page;
+
+    return {
+        ...node.page,
+        title: node.title,
+        content: node.page.content.replace(/^(#{1,6}) .*/, `$1 ${node.title}`)
+    };
+}
+
+export function flattenPageTree(tree) {
+    const pages = [];
+
+    const walk = (nodes, path) => {
+        for (const node of nodes) {
+            if (node.excluded) continue;
+
+            if (node.page) {
+                pages.push({ ...getNodePage(node), parentPath: path });
+            }
+            walk(node.children, node.group ? [] : [...path, node.title]);
+        }
+    };
+
+    walk(tree.children, []);
+    return pages;
+}
+
+// Documents whose pages were renamed, merged, moved or left out in the
+// preview. They are not recorded as up to date in the manifest, so a re-sync
+// converts them again rather than keeping the edited pages as their export.
+export function getEditedDocumentIds(pages, confirmedPages) {
+    const describe = list => {
+        const byDocument = new Map();
+        list.forEach(page => {
+            const key = page.documentId || null;
+            byDocument.set(key, [...(byDocument.get(key) || []), [page.title, page.parentPath || [], page.content]]);
+        });
+        return byDocument;
+    };
+
+    const before = describe(pages.filter(page => page.title && page.title.trim() !== ''));
+    const after = describe(confirmedPages);
+    return new Set([...before.keys()].filter(id =>
+        id && JSON.stringify(before.get(id)) !== JSON.stringify(after.get(id) || [])));
+}
+
+export function findParentNode(tree, target) {
+    for (const node of tree.children) {
+        if (node === target) return tree;
+        const parent = findParentNode(node, target);
+        if (parent) return parent;
+    }
+    return null;
+}
+
+// The merged page becomes a section one heading level below the page it is
+// merged into; its subpages move along with it.
+export function mergePageNode(tree, node, target) {
+    const parent = findParentNode(tree, node);
+    const siblings = parent.children;
+    const targetLevel = target.page.content.match(/^(#{1,6}) /)?.[1].length || 1;
+    const content = node.page.content.replace(/^#{1,6} .*/, `${'#'.repeat(Math.min(targetLevel + 1, 6))} ${node.title}`);
+
+    target.page = {
+        ...target.page,
+        content: `${target.page.content.replace(/\n+$/, '')}\n\n${content}`,
+        images: [...(target.page.images || []), ...(node.page.images || [])],
+        anchorIds: [...(target.page.anchorIds || []), node.page.headingId, ...(node.page.anchorIds || [])].filter(Boolean)
+    };
+
+    const index = siblings.indexOf(node);
+    if (target === parent) {
+        siblings.splice(index, 1, ...node.children);
+    } else {
+        siblings.splice(index, 1);
+        target.children.push(...node.children);
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function richTextToHtml(richText = []) {
+    return richText.map(segment => {
+        if (segment.type === 'equation') {
+            return `<code>${escapeHtml(segment.equation.expression)}</code>`;
+        }
+
+        const annotations = segment.annotations;
+        let html = escapeHtml(segment.text.content).replace(/\n/g, '<br>');
+        if (annotations.code) html = `<code>${html}</code>`;
+        if (annotations.bold) html = `<strong>${html}</strong>`;
+        if (annotations.italic) html = `<em>${html}</em>`;
+        if (annotations.strikethrough) html = `<s>${html}</s>`;
+        if (annotations.underline) html = `<u>${html}</u>`;
+        if (annotations.color && annotations.color !== 'default') html = `<mark>${html}</mark>`;
+        if (segment.text.link) {
+            html = `<a href="${escapeHtml(segment.text.link.url)}" target="_blank" rel="noopener">${html}</a>`;
+        }
+        return html;
+    }).join('');
+}
+
+function blockToHtml(block) {
+    const body = block[block.type];
+    const text = richTextToHtml(body.rich_text);
+    const children = body.children ? blocksToHtml(body.children) : '';
+
+    switch (block.type) {
+        case 'heading_1':
+        case 'heading_2':
+        case 'heading_3':
+            return `<h${block.type.slice(-1)}>${text}</h${block.type.slice(-1)}>`;
+        case 'paragraph':
+            return `<p>${text}</p>`;
+        case 'bulleted_list_item':
+        case 'numbered_list_item':
+            return `<li>${text}${children}</li>`;
+        case 'to_do':
+            return `<li class="to-do"><input type="checkbox" disabled${body.checked ? ' checked' : ''}> ${text}${children}</li>`;
+        case 'quote':
+            return `<blockquote>${text}</blockquote>`;
+        case 'callout':
+            return `<blockquote class="callout">${escapeHtml(body.icon?.emoji || '')} ${text}</blockquote>`;
+        case 'code':
+            return `<pre><code>${escapeHtml(body.rich_text.map(segment => segment.text.content).join(''))}</code></pre>`;
+        case 'equation':
+            return `<pre class="equation">${escapeHtml(body.expression)}</pre>`;
+        case 'divider':
+            return '<hr>';
+        case 'table':
+            return `<table>${body.children.map((row, rowIndex) => `<tr>${row.table_row.cells.map(cell => {
+                const tag = rowIndex === 0 && body.has_column_header ? 'th' : 'td';
+                return `<${tag}>${richTextToHtml(cell)}</${tag}>`;
+            }).join('')}</tr>`).join('')}</table>`;
+        case 'image': {
+            const caption = body.caption.map(segment => segment.text?.content || '').join('');
+            return `<figure><img src="${escapeHtml(body.external.url)}" alt="${escapeHtml(caption)}">${caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : ''}</figure>`;
+        }
+        default:
+            return '';
+    }
+}
+
+function blocksToHtml(blocks) {
+    let html = '';
+    let openList = null;
+
+    for (const block of blocks) {
+        const listTag = block.type === 'numbered_list_item' ? 'ol'
+            : (block.type === 'bulleted_list_item' || block.type === 'to_do') ? 'ul' : null;
+        if (listTag !== openList) {
+            if (openList) html += `</${openList}>`;
+            if (listTag) html += `<${listTag}>`;
+            openList = listTag;
+        }
+        html += blockToHtml(block);
+    }
+
+    if (openList) html += `</${openList}>`;
+    return html;
+}
+
+// Renders a page the way Notion will show it. Images are not downloaded yet,
+// so they are shown from their Google URL.
+export function renderPageHtml(page) {
+    const images = {};
+    (page.images || []).forEach(image => {
+        if (image.contentUri) {
+            images[`asset://${image.key}`] = { type: 'external', external: { url: image.contentUri } };
+        }
+    });
+
+    return blocksToHtml(markdownToNotionBlocks(page.content, { images }));
+}
+
+export class PagePreview {
+    constructor(container) {
+        this.container = container;
+        this.tree = null;
+        this.selected = null;
+        this.dragged = null;
+    }
+
+    // Resolves with the edited pages once the user confirms, or with null
+    // when they cancel.
+    open(pages, { fromFolder = false, confirmLabel = '📦 Build .zip' } = {}) {
+        this.tree = buildPageTree(pages, { fromFolder });
+        this.confirmLabel = confirmLabel;
+        this.selected = this.findFirstPage(this.tree);
+        this.container.classList.add('visible');
+        this.render();
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    close() {
+        this.container.classList.remove('visible');
+        this.container.replaceChildren();
+        this.tree = null;
+    }
+
+    findFirstPage(node) {
+        for (const child of node.children) {
+            if (child.page && !child.excluded) return child;
+            const page = this.findFirstPage(child);
+            if (page) return page;
+        }
+        return null;
+    }
+
+    render() {
+        const pages = flattenPageTree(this.tree);
+
+        const header = document.createElement('div');
+        header.className = 'page-preview-header';
+        header.innerHTML = `<h3>Review ${pages.length} page(s)</h3>
+            <p class="url-hint">Rename, merge or leave out pages and drag them to change their order, then build the workspace.</p>`;
+
+        const treeList = document.createElement('ul');
+        treeList.className = 'page-tree';
+        this.tree.children.forEach(node => treeList.appendChild(this.renderNode(node, this.tree)));
+
+        const content = document.createElement('div');
+        content.className = 'page-preview-content';
+        if (this.selected && this.selected.page) {
+            content.innerHTML = renderPageHtml(getNodePage(this.selected));
+        } else {
+            content.innerHTML = '<p class="url-hint">Select a page to preview it</p>';
+        }
+
+        const body = document.createElement('div');
+        body.className = 'page-preview-body';
+        body.append(treeList, content);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'page-preview-cancel';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => {
+            this.close();
+            this.resolve(null);
+        });
+
+        const confirmButton = document.createElement('button');
+        confirmButton.type = 'button';
+        confirmButton.className = 'generate-btn';
+        confirmButton.textContent = this.confirmLabel;
+        confirmButton.disabled = pages.length === 0;
+        confirmButton.addEventListener('click', () => {
+            this.close();
+            this.resolve(pages);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'page-preview-actions';
+        actions.append(cancelButton, confirmButton);
+
+        this.container.replaceChildren(header, body, actions);
+    }
+
+    renderNode(node, parent) {
+        const item = document.createElement('li');
+        const row = document.createElement('div');
+        row.className = 'page-tree-row';
+        row.classList.toggle('selected', node === this.selected);
+        row.classList.toggle('excluded', Boolean(node.excluded));
+        row.classList.toggle('group', Boolean(node.group));
+
+        const title = document.createElement('span');
+        title.className = 'page-tree-title';
+        title.textContent = node.page ? node.title : `📁 ${node.title}`;
+        title.addEventListener('click', () => {
+            this.selected = node;
+            this.render();
+        });
+        row.appendChild(title);
+
+        if (!node.group) {
+            const index = parent.children.indexOf(node);
+            const previous = parent.children[index - 1];
+
+            row.draggable = true;
+            row.addEventListener('dragstart', (e) => {
+                this.dragged = { node, parent };
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', node.title);
+            });
+            row.addEventListener('dragend', () => {
+                this.dragged = null;
+            });
+            // Pages can only be moved among their siblings; merging is the way
+            // to move content under another page.
+            const canDrop = () => this.dragged && this.dragged.parent === parent && this.dragged.node !== node;
+            row.addEventListener('dragover', (e) => {
+                if (canDrop()) {
+                    e.preventDefault();
+                }
+            });
+            row.addEventListener('drop', (e) => {
+                e.preventDefault();
+                if (!canDrop()) return;
+
+                const siblings = parent.children;
+                siblings.splice(siblings.indexOf(this.dragged.node), 1);
+                const targetIndex = siblings.indexOf(node);
+                const after = e.offsetY > row.offsetHeight / 2;
+                siblings.splice(after ? targetIndex + 1 : targetIndex, 0, this.dragged.node);
+                this.dragged = null;
+                this.render();
+            });
+
+            row.appendChild(this.createAction('✏️', 'Rename', () => this.startRename(node, title)));
+            if (node.page && parent.page) {
+                row.appendChild(this.createAction('⤴️', 'Merge into the parent page', () => {
+                    mergePageNode(this.tree, node, parent);
+                    this.selected = parent;
+                    this.render();
+                }));
+            }
+            if (node.page && previous && previous.page && !previous.excluded) {
+                row.appendChild(this.createAction('⬆️', 'Merge into the page above', () => {
+                    mergePageNode(this.tree, node, previous);
+                    this.selected = previous;
+                    this.render();
+                }));
+            }
+            row.appendChild(this.createAction(node.excluded ? '↩️' : '🚫', node.excluded ? 'Include again' : 'Leave out (with its subpages)', () => {
+                node.excluded = !node.excluded;
+                this.render();
+            }));
+        }
+
+        item.appendChild(row);
+
+        if (node.children.length > 0) {
+            const childList = document.createElement('ul');
+            node.children.forEach(child => childList.appendChild(this.renderNode(child, node)));
+            item.appendChild(childList);
+        }
+
+        return item;
+    }
+
+    createAction(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'page-tree-action';
+        button.textContent = icon;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    startRename(node, title) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'page-tree-rename';
+        input.value = node.title;
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save && input.value.trim()) {
+                node.title = input.value.trim();
+            }
+            this.render();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        title.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+}
@@ -0,0 +1,316 @@
+// Turns the HTML of a "Publish to the web" page (/pub) into the same shape
+// the Docs API returns, so the published fallback runs through the regular
+// section extraction. Only DOM APIs are used, so saved pages can be parsed
+// without any network access.
+
+const COUNTER_GLYPH_TYPES = {
+    'decimal': 'DECIMAL',
+    'decimal-leading-zero': 'ZERO_DECIMAL',
+    'lower-latin': 'ALPHA',
+    'lower-alpha': 'ALPHA',
+    'upper-latin': 'UPPER_ALPHA',
+    'upper-alpha': 'UPPER_ALPHA',
+    'lower-roman': 'ROMAN',
+    'upper-roman': 'UPPER_ROMAN'
+};
+
+const HEADING_STYLES = {
+    H1: 'HEADING_1',
+    H2: 'HEADING_2',
+    H3: 'HEADING_3',
+    H4: 'HEADING_4',
+    H5: 'HEADING_5',
+    H6: 'HEADING_6'
+};
+
+function parseClassStyles(document) {
+    const classStyles = {};
+    const counterGlyphs = {};
+    const css = Array.from(document.querySelectorAll('style')).map(style => style.textContent).join('\n');
+
+    for (const [, selectors, declarations] of css.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+        const style = {};
+        if (/font-weight:\s*(700|bold)/.test(declarations)) style.bold = true;
+        if (/font-style:\s*italic/.test(declarations)) style.italic = true;
+        if (/text-decoration:[^;]*underline/.test(declarations)) style.underline = true;
+        if (/text-decoration:[^;]*line-through/.test(declarations)) style.strikethrough = true;
+
+        const fontFamily = declarations.match(/font-family:\s*"?([^";]+)"?/);
+        if (fontFamily) style.weightedFontFamily = { fontFamily: fontFamily[1].trim() };
+
+        for (const selector of selectors.split(',')) {
+            const classMatch = selector.trim().match(/^\.([\w-]+)$/);
+            if (classMatch) {
+                classStyles[classMatch[1]] = { ...classStyles[classMatch[1]], ...style };
+            }
+        }
+
+        const counter = declarations.match(/counter\(lst-ctn-(kix_[\w]+)-(\d+),\s*([\w-]+)\)/);
+        if (counter) {
+            counterGlyphs[`${counter[1]}-${counter[2]}`] = COUNTER_GLYPH_TYPES[counter[3]] || 'DECIMAL';
+        }
+    }
+
+    return { classStyles, counterGlyphs };
+}
+
+function unwrapGoogleRedirect(href) {
+    const match = href.match(/^https?:\/\/www\.google\.com\/url\?(.*)$/);
+    if (!match) return href;
+
+    const target = new URLSearchParams(match[1]).get('q');
+    return target || href;
+}
+
+function createLink(href) {
+    if (href.startsWith('#h.')) return { headingId: href.slice(1) };
+    if (href.startsWith('#id.')) return { bookmarkId: href.slice(1) };
+    if (href.startsWith('#')) return null;
+    return { url: unwrapGoogleRedirect(href) };
+}
+
+class PublishedDocumentBuilder {
+    constructor(document) {
+        const { classStyles, counterGlyphs } = parseClassStyles(document);
+        this.classStyles = classStyles;
+        this.counterGlyphs = counterGlyphs;
+        this.inlineObjects = {};
+        this.footnotes = {};
+        this.lists = {};
+        this.imageCount = 0;
+        this.listCount = 0;
+    }
+
+    getElementStyle(element) {
+        let style = {};
+        for (const className of element.classList || []) {
+            style = { ...style, ...this.classStyles[className] };
+        }
+
+        switch (element.tagName) {
+            case 'B':
+            case 'STRONG':
+                style.bold = true;
+                break;
+            case 'I':
+            case 'EM':
+                style.italic = true;
+                break;
+            case 'U':
+                style.underline = true;
+                break;
+            case 'S':
+            case 'DEL':
+            case 'STRIKE':
+                style.strikethrough = true;
+                break;
+        }
+
+        return style;
+    }
+
+    collectElements(node, style, elements) {
+        if (node.nodeType === 3) {
+            const content = node.textContent.replace(/\u00a0/g, ' ');
+            if (content) {
+                elements.push({ textRun: { content, textStyle: { ...style } } });
+            }
+            return;
+        }
+
+        if (node.nodeType !== 1) return;
+
+        if (node.tagName === 'BR') {
+            elements.push({ textRun: { content: '\n', textStyle: {} } });
+            return;
+        }
+
+        if (node.tagName === 'IMG') {
+            const objectId = `pub.image${++this.imageCount}`;
+            this.inlineObjects[objectId] = {
+                inlineObjectProperties: {
+                    embeddedObject: {
+                        title: node.getAttribute('title') || '',
+                        description: node.getAttribute('alt') || '',
+                        imageProperties: { contentUri: node.getAttribute('src') }
+                    }
+                }
+            };
+            elements.push({ inlineObjectElement: { inlineObjectId: objectId } });
+            return;
+        }
+
+        if (node.tagName === 'HR') {
+            elements.push({ horizontalRule: {} });
+            return;
+        }
+
+        // Footnote references link to #ftntN, and each note links back to #ftnt_refN.
+        const footnoteMatch = node.tagName === 'A' && (node.getAttribute('href') || '').match(/^#(ftnt(\d+))$/);
+        if (footnoteMatch) {
+            elements.push({ footnoteReference: { footnoteId: footnoteMatch[1], footnoteNumber: footnoteMatch[2] } });
+            return;
+        }
+        if (node.tagName === 'A' && /^#ftnt_ref\d+$/.test(node.getAttribute('href') || '')) {
+            return;
+        }
+
+        let childStyle = { ...style, ...this.getElementStyle(node) };
+        if (node.tagName === 'A' && node.getAttribute('href')) {
+            const link = createLink(node.getAttribute('href'));
+            if (link) childStyle = { ...childStyle, link };
+        }
+
+        for (const child of node.childNodes) {
+            this.collectElements(child, childStyle, elements);
+        }
+    }
+
+    createParagraph(element, paragraphStyle = {}, bullet = null) {
+        const elements = [];
+        this.collectElements(element, {}, elements);
+        elements.push({ textRun: { content: '\n', textStyle: {} } });
+
+        const paragraph = { elements, paragraphStyle };
+        if (bullet) paragraph.bullet = bullet;
+        const bookmarkIds = Array.from(element.querySelectorAll('a[id^="id."]'), anchor => anchor.id);
+        if (bookmarkIds.length > 0) paragraph.bookmarkIds = bookmarkIds;
+        return { paragraph };
+    }
+
+    createList(element) {
+        const listClass = Array.from(element.classList).find(className => /^lst-kix_[\w]+-\d+$/.test(className));
+        const [, listKey, level] = listClass
+            ? listClass.match(/^lst-(kix_[\w]+)-(\d+)$/)
+            : [null, `list_${++this.listCount}`, '0'];
+        const nestingLevel = parseInt(level, 10);
+        const listId = listKey.replace('_', '.');
+
+        if (!this.lists[listId]) {
+            this.lists[listId] = { listProperties: { nestingLevels: [] } };
+        }
+        const nestingLevels = this.lists[listId].listProperties.nestingLevels;
+        while (nestingLevels.length <= nestingLevel) nestingLevels.push({ glyphSymbol: '●' });
+        if (element.tagName === 'OL') {
+            nestingLevels[nestingLevel] = { glyphType: this.counterGlyphs[`${listKey}-${level}`] || 'DECIMAL' };
+        }
+
+        return Array.from(element.children)
+            .filter(child => child.tagName === 'LI')
+            .map(item => this.createParagraph(item, {}, { listId, nestingLevel }));
+    }
+
+    createTable(element) {
+        const rows = Array.from(element.querySelectorAll(':scope > tbody > tr, :scope > tr'));
+        const columns = Math.max(0, ...rows.map(row =>
+            Array.from(row.children).reduce((total, cell) => total + (parseInt(cell.getAttribute('colspan'), 10) || 1), 0)));
+
+        return {
+            table: {
+                columns,
+                rows: rows.length,
+                tableRows: rows.map(row => ({
+                    tableCells: Array.from(row.children)
+                        .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+                        .map(cell => ({
+                            content: this.convertChildren(cell),
+                            tableCellStyle: {
+                                columnSpan: parseInt(cell.getAttribute('colspan'), 10) || 1,
+                                rowSpan: parseInt(cell.getAttribute('rowspan'), 10) || 1
+                            }
+                        }))
+                }))
+            }
+        };
+    }
+
+    convertElement(element) {
+        if (HEADING_STYLES[element.tagName]) {
+            return [this.createParagraph(element, {
+                namedStyleType: HEADING_STYLES[element.tagName],
+                headingId: element.id || undefined
+            })];
+        }
+
+        switch (element.tagName) {
+            case 'P':
+                if (element.classList.contains('title')) {
+                    return [this.createParagraph(element, { namedStyleType: 'TITLE' })];
+                }
+                if (element.classList.contains('subtitle')) {
+                    return [this.createParagraph(element, { namedStyleType: 'SUBTITLE' })];
+                }
+                return [this.createParagraph(element)];
+            case 'UL':
+            case 'OL':
+                return this.createList(element);
+            case 'TABLE':
+                return [this.createTable(element)];
+            case 'HR':
+                return [{ paragraph: { elements: [{ horizontalRule: {} }, { textRun: { content: '\n' } }] } }];
+            case 'SCRIPT':
+            case 'STYLE':
+                return [];
+            case 'DIV': {
+                const footnoteAnchor = element.querySelector(':scope > p:first-child a[href^="#ftnt_ref"]');
+                if (footnoteAnchor) {
+                    this.footnotes[footnoteAnchor.id] = { content: this.convertChildren(element) };
+                    return [];
+                }
+                return this.convertChildren(element);
+            }
+            default:
+                return this.convertChildren(element);
+        }
+    }
+
+    isBlockElement(node) {
+        return node.nodeType === 1 && Boolean(HEADING_STYLES[node.tagName]
+            || ['P', 'UL', 'OL', 'TABLE', 'HR', 'DIV', 'SCRIPT', 'STYLE'].includes(node.tagName));
+    }
+
+    convertChildren(container) {
+        const content = [];
+        let looseParagraph = null;
+
+        for (const child of container.childNodes) {
+            if (this.isBlockElement(child)) {
+                looseParagraph = null;
+                content.push(...this.convertElement(child));
+                continue;
+            }
+
+            const hasImage = child.nodeType === 1 && (child.tagName === 'IMG' || child.querySelector('img'));
+            if (!child.textContent.trim() && !hasImage) continue;
+
+            // Text that sits directly in a container is gathered into one paragraph.
+            if (!looseParagraph) {
+                looseParagraph = { elements: [{ textRun: { content: '\n', textStyle: {} } }], paragraphStyle: {} };
+                content.push({ paragraph: looseParagraph });
+            }
+
+            const elements = [];
+            this.collectElements(child, {}, elements);
+            looseParagraph.elements.splice(looseParagraph.elements.length - 1, 0, ...elements);
+        }
+
+        return content;
+    }
+}
+
+export function publishedHtmlToDocument(document, documentId = null) {
+    const builder = new PublishedDocumentBuilder(document);
+    const root = document.getElementById('contents') || document.body;
+    const banner = document.getElementById('title');
+    const title = (banner?.textContent || document.title || '').trim() || 'Document';
+
+    return {
+        documentId,
+        sourceUrl: documentId ? `https://docs.google.com/document/d/${documentId}/edit` : null,
+        title,
+        body: { content: builder.convertChildren(root) },
+        inlineObjects: builder.inlineObjects,
+        footnotes: builder.footnotes,
+        lists: builder.lists
+    };
+}
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DocsConverter } from '../src/converter.js';
+
+function resyncWithUnchangedNotes(converter) {
+    const previousManifest = {
+        documents: [{ id: 'old', name: 'Notes', modifiedTime: '2026-01-01T00:00:00Z' }],
+        files: [
+            { path: 'notes--intro.md', type: 'page', documentId: 'old', title: 'Intro' },
+            { path: 'intro.md', type: 'page', documentId: 'old', title: 'Intro' }
+        ]
+    };
+    const documents = [
+        { id: 'old', name: 'Notes', modifiedTime: '2026-01-01T00:00:00Z' },
+        { id: 'new', name: 'Notes', modifiedTime: '2026-02-01T00:00:00Z' }
+    ];
+    return converter.planResync(documents, previousManifest);
+}
+
+const newPage = { title: 'Intro', content: '# Intro\n\nNew text', parentPath: [], sourceDocument: 'Notes', documentId: 'new' };
+
+for (const fromFolder of [true, false]) {
+    test(`re-sync keeps the paths of unchanged documents (fromFolder: ${fromFolder})`, () => {
+        const converter = new DocsConverter();
+        const resync = resyncWithUnchangedNotes(converter);
+        const files = converter.buildWorkspaceFiles([newPage], {}, { fromFolder, resync });
+
+        const names = files.map(file => file.name);
+        assert.ok(!names.includes('notes--intro.md'));
+        assert.ok(!names.includes('intro.md'));
+
+        const manifest = JSON.parse(files.find(file => file.name === 'manifest.json').content);
+        const paths = manifest.files.map(entry => entry.path);
+        assert.ok(paths.includes('notes--intro.md'));
+        assert.ok(paths.includes('intro.md'));
+        assert.equal(new Set(paths).size, paths.length);
+        assert.equal(manifest.files.filter(entry => entry.documentId === 'new').length, 1);
+    });
+}
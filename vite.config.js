@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite';
+
+// The dev and preview servers forward /api/notion the way api/notion.js does
+// in production, since Notion's API cannot be called from the browser.
+const notionProxy = {
+    '/api/notion': {
+        target: 'https://api.notion.com',
+        changeOrigin: true,
+        rewrite: path => path.replace(/^\/api\/notion/, '/v1'),
+        configure: proxy => proxy.on('proxyReq', proxyReq => proxyReq.removeHeader('origin'))
+    }
+};
+
+export default defineConfig({
+    server: { proxy: notionProxy },
+    preview: { proxy: notionProxy }
+});